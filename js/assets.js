@@ -0,0 +1,235 @@
+/**
+ * Asset Loader
+ * Loads the third-party libraries (Three.js, chess.js, MediaPipe) and then
+ * the app scripts, from the CDNs or from a local copy for offline kiosks
+ * (see scripts/vendor-assets.sh). MediaPipe's model and wasm files (and
+ * the worker's, with ?worker=1) are checked up front, so a missing file is reported by name at startup
+ * instead of showing up as a camera that never starts.
+ *
+ * The asset base path comes from ?assets=<path>, else the data-asset-base
+ * attribute of this script's tag; without one the CDNs are used. A base
+ * from the URL must be on the page's own origin, since it becomes the
+ * source of the scripts that are loaded.
+ */
+
+const HandAssets = (function() {
+    const JSDELIVR = 'https://cdn.jsdelivr.net/npm';
+
+    // Script libraries, in load order. `global` is checked after loading.
+    const LIBRARIES = [
+        {
+            name: 'Three.js',
+            global: 'THREE',
+            cdn: 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r134/three.min.js',
+            local: 'three/three.min.js'
+        },
+        {
+            name: 'chess.js',
+            global: 'Chess',
+            cdn: 'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.12.1/chess.min.js',
+            local: 'chess.js/chess.js'
+        },
+        {
+            name: 'MediaPipe Hands',
+            global: 'Hands',
+            cdn: `${JSDELIVR}/@mediapipe/hands@0.4.1675469240/hands.js`,
+            local: 'mediapipe/hands/hands.js'
+        }
+    ];
+
+    // Directories and files fetched at runtime (see url())
+    const LOCATIONS = {
+        hands: { cdn: `${JSDELIVR}/@mediapipe/hands@0.4.1675469240/`, local: 'mediapipe/hands/' },
+        tasksVision: { cdn: `${JSDELIVR}/@mediapipe/tasks-vision@0.10.14/`, local: 'mediapipe/tasks-vision/' },
+        handModel: {
+            cdn: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+            local: 'mediapipe/models/hand_landmarker.task'
+        }
+    };
+
+    // Files MediaPipe Hands loads when the camera starts
+    const HANDS_FILES = [
+        'hands.binarypb',
+        'hands_solution_packed_assets_loader.js',
+        'hands_solution_packed_assets.data',
+        'hands_solution_simd_wasm_bin.js',
+        'hands_solution_simd_wasm_bin.wasm',
+        'hand_landmark_full.tflite',
+        'hand_landmark_lite.tflite'
+    ];
+
+    // Files the inference worker (?worker=1) loads, besides the model
+    const TASKS_VISION_FILES = [
+        'vision_bundle.mjs',
+        'wasm/vision_wasm_internal.js',
+        'wasm/vision_wasm_internal.wasm'
+    ];
+
+    const scriptTag = document.currentScript;
+    let assetBase = readConfiguredBase();
+
+    function readConfiguredBase() {
+        const param = new URLSearchParams(window.location.search).get('assets');
+        if (param !== null) {
+            if (isSameOrigin(param)) return normalizeBase(param);
+            console.error(`Ignoring ?assets=${param}: assets must come from this site`);
+        }
+        return normalizeBase(scriptTag && scriptTag.dataset.assetBase);
+    }
+
+    /**
+     * Whether a path resolves to the page's origin (so not 'https://other/'
+     * or '//other/')
+     */
+    function isSameOrigin(base) {
+        try {
+            return new URL(base, window.location.href).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function normalizeBase(base) {
+        if (!base) return null;
+        return base.endsWith('/') ? base : `${base}/`;
+    }
+
+    /**
+     * Use a local copy under `base` (e.g. 'vendor/'), or the CDNs for null
+     */
+    function setBase(base) {
+        assetBase = normalizeBase(base);
+    }
+
+    function getBase() { return assetBase; }
+
+    /**
+     * Where to fetch an asset from
+     * @param {string} name - 'hands', 'tasksVision' or 'handModel'
+     * @param {string} [file] - File inside a directory asset
+     */
+    function url(name, file) {
+        const location = LOCATIONS[name];
+        if (!location) {
+            throw new Error(`Unknown asset: ${name}`);
+        }
+        const path = assetBase ? assetBase + location.local : location.cdn;
+        return file ? path + file : path;
+    }
+
+    function libraryUrl(library) {
+        return assetBase ? assetBase + library.local : library.cdn;
+    }
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Check that a runtime file is reachable without downloading it
+     */
+    async function isReachable(src) {
+        try {
+            const response = await fetch(src, { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load the libraries and verify MediaPipe's runtime files
+     * @returns {Promise<Array>} Failed assets as { name, url }
+     */
+    async function check() {
+        const failures = [];
+
+        for (const library of LIBRARIES) {
+            const src = libraryUrl(library);
+            try {
+                await loadScript(src);
+                if (!(library.global in window)) {
+                    throw new Error(`${library.global} is not defined`);
+                }
+            } catch (error) {
+                failures.push({ name: library.name, url: src });
+            }
+        }
+
+        // The worker falls back to MediaPipe Hands, so it needs both
+        const files = HANDS_FILES.map((file) => ({ name: `MediaPipe Hands: ${file}`, url: url('hands', file) }));
+        if (new URLSearchParams(window.location.search).get('worker') === '1') {
+            TASKS_VISION_FILES.forEach((file) => files.push({ name: `MediaPipe Tasks Vision: ${file}`, url: url('tasksVision', file) }));
+            files.push({ name: 'Hand landmarker model', url: url('handModel') });
+        }
+        const reachable = await Promise.all(files.map((file) => isReachable(file.url)));
+        files.forEach((file, i) => {
+            if (!reachable[i]) failures.push(file);
+        });
+
+        return failures;
+    }
+
+    /**
+     * Load everything, then the app scripts in order. If any asset is
+     * missing the app isn't started and the failures are listed instead.
+     * @param {string[]} appScripts - Paths of the app's own scripts
+     * @returns {Promise<boolean>} Whether the app was started
+     */
+    async function load(appScripts) {
+        const failures = await check();
+        if (failures.length > 0) {
+            failures.forEach((failure) => console.error(`Asset failed to load: ${failure.name} (${failure.url})`));
+            showFailures(failures);
+            return false;
+        }
+
+        for (const src of appScripts) {
+            await loadScript(src);
+        }
+        return true;
+    }
+
+    function showFailures(failures) {
+        const panel = document.createElement('div');
+        panel.id = 'asset-error';
+        panel.innerHTML = `
+            <div class="asset-error-panel">
+                <h2>Some files failed to load</h2>
+                <ul></ul>
+                <p>${assetBase
+                    ? 'Assets are loaded from <code class="asset-base"></code>. Run <code>scripts/vendor-assets.sh</code> to create a local copy, or remove <code>?assets=</code> to use the CDNs.'
+                    : 'Assets are loaded from public CDNs. Check the network connection, or serve a local copy with <code>?assets=vendor/</code>.'}</p>
+            </div>
+        `;
+
+        // The base path may come from the URL, so never parse it as HTML
+        const baseLabel = panel.querySelector('.asset-base');
+        if (baseLabel) baseLabel.textContent = assetBase;
+
+        const list = panel.querySelector('ul');
+        for (const failure of failures) {
+            const item = document.createElement('li');
+            item.textContent = `${failure.name} - ${failure.url}`;
+            list.appendChild(item);
+        }
+        document.body.appendChild(panel);
+    }
+
+    // Public API
+    return {
+        load: load,
+        check: check,
+        url: url,
+        setBase: setBase,
+        getBase: getBase
+    };
+})();
+
+window.HandAssets = HandAssets;
@@ -0,0 +1,289 @@
+/**
+ * Hand Calibration
+ * Per-user openness range, neutral rotation and interaction box, measured
+ * by a short wizard (fist, open palm, relaxed hand, reach) and saved as named profiles in
+ * localStorage so several people can share one kiosk.
+ */
+
+const HandCalibration = (function() {
+    const STORAGE_KEY = 'handDemos.calibration';
+
+    const STEPS = [
+        { key: 'fist', text: 'Make a tight fist', sub: 'Hold it still facing the camera', duration: 3000 },
+        { key: 'open', text: 'Open your hand wide', sub: 'Spread all five fingers', duration: 3000 },
+        { key: 'neutral', text: 'Relax your hand', sub: 'Palm toward the camera, the way you would hold it to play', duration: 2000 },
+        { key: 'reach', text: 'Show us your reach', sub: 'Move to each edge you can reach comfortably, then closer and further away', duration: 5000 }
+    ];
+    const PREPARE_TIME = 1500;    // Pause before each step starts sampling
+    const MIN_RATIO_SPREAD = 0.1; // Fist and open palm must differ at least this much
+    const RANGE_MARGIN = 0.1;     // Pull the range in so both ends are easy to reach
+
+    // UI elements
+    let overlay = null;
+    let titleText = null;
+    let subText = null;
+    let progressFill = null;
+    let animationId = null;
+    let cancelStep = null;      // Rejects the step being sampled
+
+    /**
+     * Read the stored { active, profiles } record
+     */
+    function loadStore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.profiles) return stored;
+        } catch (error) {
+            console.warn('Ignoring unreadable calibration data:', error);
+        }
+        return { active: null, profiles: {} };
+    }
+
+    function saveStore(store) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    }
+
+    function getProfileNames() {
+        return Object.keys(loadStore().profiles).sort();
+    }
+
+    function getProfile(name) {
+        return loadStore().profiles[name] || null;
+    }
+
+    function getActiveProfile() {
+        const store = loadStore();
+        return store.active ? store.profiles[store.active] || null : null;
+    }
+
+    /**
+     * Make a stored profile (or null for the defaults) the active one
+     */
+    function setActiveProfile(name) {
+        const store = loadStore();
+        store.active = name && store.profiles[name] ? name : null;
+        saveStore(store);
+        return getActiveProfile();
+    }
+
+    function saveProfile(profile) {
+        const store = loadStore();
+        store.profiles[profile.name] = profile;
+        saveStore(store);
+    }
+
+    function deleteProfile(name) {
+        const store = loadStore();
+        delete store.profiles[name];
+        if (store.active === name) store.active = null;
+        saveStore(store);
+    }
+
+    /**
+     * Turn the raw samples of each step into a profile
+     * @param {Object} samples - Landmark sets per step key, plus `handedness`
+     *   ('Left' or 'Right', default 'Right') of the hand that was measured
+     */
+    function createProfile(name, samples) {
+        const fistRatio = median(samples.fist.map(HandMath.calculateOpennessRatio));
+        const openRatio = median(samples.open.map(HandMath.calculateOpennessRatio));
+        const spread = openRatio - fistRatio;
+
+        if (!(spread >= MIN_RATIO_SPREAD)) {
+            throw new Error('Your fist and open hand looked too similar. Try again with a tighter fist and wider palm.');
+        }
+
+        // The other hand rests as the mirror image of the measured one
+        const neutral = averageQuaternion(
+            samples.neutral.map(HandMath.calculateHandQuaternion).filter(Boolean)
+        );
+
+        return {
+            name: name,
+            createdAt: new Date().toISOString(),
+            minRatio: fistRatio + spread * RANGE_MARGIN,
+            maxRatio: openRatio - spread * RANGE_MARGIN,
+            neutralRotations: neutral && HandMath.createNeutralRotations(neutral, samples.handedness),
+            // null (too little movement) keeps the default box
+            interactionBox: InteractionBox.fromSamples(samples.reach)
+        };
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Component-wise average of nearby quaternions, aligned to one hemisphere
+     */
+    function averageQuaternion(quaternions) {
+        if (quaternions.length === 0) return null;
+
+        const reference = quaternions[0];
+        const sum = { x: 0, y: 0, z: 0, w: 0 };
+        for (const q of quaternions) {
+            const sign = q.x * reference.x + q.y * reference.y + q.z * reference.z + q.w * reference.w < 0 ? -1 : 1;
+            sum.x += q.x * sign;
+            sum.y += q.y * sign;
+            sum.z += q.z * sign;
+            sum.w += q.w * sign;
+        }
+        const length = Math.hypot(sum.x, sum.y, sum.z, sum.w);
+        return { x: sum.x / length, y: sum.y / length, z: sum.z / length, w: sum.w / length };
+    }
+
+    /**
+     * Run the calibration wizard. Hand tracking must already be running.
+     * @param {Object} [options] - { name } to prefill the profile name
+     * @returns {Promise<Object|null>} The saved profile, or null if cancelled
+     */
+    function run(options = {}) {
+        return new Promise((resolve) => {
+            createOverlay(options.name || `Player ${getProfileNames().length + 1}`);
+
+            const finish = (profile) => {
+                destroyOverlay();
+                resolve(profile);
+            };
+
+            overlay.querySelector('.calibration-cancel').addEventListener('click', () => finish(null));
+            overlay.querySelector('.calibration-start').addEventListener('click', async (e) => {
+                const name = overlay.querySelector('.calibration-name').value.trim();
+                if (!name) return;
+
+                e.target.classList.add('hidden');
+                overlay.querySelector('.calibration-name').disabled = true;
+
+                try {
+                    const samples = {};
+                    const handedness = {};
+                    for (const step of STEPS) {
+                        samples[step.key] = await sampleStep(step, handedness);
+                    }
+                    samples.handedness = (handedness.Left || 0) > (handedness.Right || 0) ? 'Left' : 'Right';
+
+                    const profile = createProfile(name, samples);
+                    saveProfile(profile);
+                    setActiveProfile(profile.name);
+                    finish(profile);
+                } catch (error) {
+                    if (!overlay) return; // Cancelled mid-step
+                    titleText.textContent = 'Calibration failed';
+                    subText.textContent = error.message;
+                    e.target.textContent = 'Try again';
+                    e.target.classList.remove('hidden');
+                    overlay.querySelector('.calibration-name').disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * Collect raw landmarks of the primary hand for one step. Time only
+     * counts while a hand is visible.
+     * @param {Object} handedness - Samples per handedness label, counted up
+     */
+    function sampleStep(step, handedness) {
+        return new Promise((resolve, reject) => {
+            titleText.textContent = step.text;
+            subText.textContent = step.sub;
+            progressFill.style.width = '0%';
+            HandCursor.pauseClicks(); // No stray clicks while the user poses
+            cancelStep = () => reject(new Error('Calibration cancelled'));
+
+            const samples = [];
+            const startTime = performance.now() + PREPARE_TIME;
+            let sampledTime = 0;
+            let lastTime = startTime;
+
+            function tick() {
+                const now = performance.now();
+                const hand = HandTracking.getHands()[0];
+
+                if (now >= startTime) {
+                    if (hand && hand.rawLandmarks && !hand.predicted) {
+                        samples.push(hand.rawLandmarks);
+                        handedness[hand.handedness] = (handedness[hand.handedness] || 0) + 1;
+                        sampledTime += now - lastTime;
+                        subText.textContent = step.sub;
+                    } else {
+                        subText.textContent = 'Show your hand to the camera';
+                    }
+                    lastTime = now;
+                }
+
+                progressFill.style.width = `${Math.min(100, sampledTime / step.duration * 100)}%`;
+
+                if (sampledTime >= step.duration) {
+                    animationId = null;
+                    cancelStep = null;
+                    HandCursor.resumeClicks();
+                    resolve(samples);
+                } else {
+                    animationId = requestAnimationFrame(tick);
+                }
+            }
+
+            animationId = requestAnimationFrame(tick);
+        });
+    }
+
+    function createOverlay(defaultName) {
+        overlay = document.createElement('div');
+        overlay.id = 'calibration-overlay';
+        overlay.innerHTML = `
+            <div class="calibration-panel">
+                <h2>Calibrate</h2>
+                <p class="calibration-title">Who's playing?</p>
+                <p class="calibration-sub">We'll measure your fist, open hand, resting pose and reach.</p>
+                <input class="calibration-name" type="text" maxlength="24">
+                <div class="calibration-progress"><div class="calibration-progress-fill"></div></div>
+                <div class="calibration-actions" data-hand-dwell>
+                    <button class="calibration-cancel">Cancel</button>
+                    <button class="calibration-start">Start</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('.calibration-name').value = defaultName;
+        titleText = overlay.querySelector('.calibration-title');
+        subText = overlay.querySelector('.calibration-sub');
+        progressFill = overlay.querySelector('.calibration-progress-fill');
+    }
+
+    function destroyOverlay() {
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+            animationId = null;
+        }
+        if (cancelStep) {
+            const cancel = cancelStep;
+            cancelStep = null;
+            HandCursor.resumeClicks();
+            cancel();
+        }
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        overlay = null;
+        titleText = null;
+        subText = null;
+        progressFill = null;
+    }
+
+    // Public API
+    return {
+        run: run,
+        createProfile: createProfile,
+        getProfileNames: getProfileNames,
+        getProfile: getProfile,
+        getActiveProfile: getActiveProfile,
+        setActiveProfile: setActiveProfile,
+        saveProfile: saveProfile,
+        deleteProfile: deleteProfile
+    };
+})();
+
+window.HandCalibration = HandCalibration;
@@ -637,7 +637,19 @@ const AirplaneDemo = (function() {
         init: init,
         destroy: destroy,
         name: 'Flight Control',
-        description: 'Pilot an airplane with hand gestures'
+        description: 'Pilot an airplane with hand gestures',
+        // Steering uses one hand; a second would only cost inference time
+        config: {
+            maxNumHands: 1
+        },
+        // Kalman rotation tracks steady banking without jitter or much lag
+        filters: {
+            rotation: { type: 'kalman', processNoise: 20, measurementNoise: 0.0005 }
+        },
+        // Small tremors shouldn't bank the plane; gentle tilts give fine control
+        rotationResponse: {
+            roll: { deadZone: 0.08, exponent: 1.4 }
+        }
     };
 })();
 
@@ -14,22 +14,49 @@ const ChessDemo = (function() {
         camera: {
             fov: 50,
             position: { x: 0, y: 8, z: 6 },
-            lookAt: { x: 0, y: 0, z: 0 }
+            lookAt: { x: 0, y: 0, z: 0 },
+            // Two-hand orbit limits: elevation in radians, distance relative to the start
+            minElevation: 0.35,
+            maxElevation: 1.45,
+            minZoom: 0.6,
+            maxZoom: 1.6,
+            panElevation: 3 // Radians of elevation per image height of two-hand pan
         },
         hand: {
             scale: 0.15,
-            heightOffset: 2
+            // Interaction box to board: left to right, top of the frame to
+            // the far side, and far from the camera to near as low to high
+            range: { x: [-4.5, 4.5], y: [-4.5, 4.5], z: [1, 3] }
         }
     };
 
+    const UP = new THREE.Vector3(0, 1, 0);
+    const DEFAULT_DIFFICULTY = 3;
+
+    // Hand model (camera's view: x = image right, y up, z toward the camera)
+    // to board: as if looking down at the back of your own hand reaching
+    // over the board - fingers away from the player, palm down, and the
+    // user's right on the right
+    const HAND_ON_BOARD = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(
+        new THREE.Vector3(-1, 0, 0),
+        new THREE.Vector3(0, 0, -1),
+        new THREE.Vector3(0, -1, 0)
+    ));
+
     // State
     let scene, camera, renderer;
     let animationId = null;
     let container = null;
+    let route = null; // { options, update } from main.js
+    
+    // Camera orbit around the board: { azimuth, elevation, distance }
+    let defaultOrbit = null;
+    let cameraOrbit = null;
+    let orbitAtStart = null;
     
     // Chess state
     let chess = null;
-    let difficulty = 3;
+    let difficulty = DEFAULT_DIFFICULTY;
     let gameStarted = false;
     let playerColor = 'w';
     let isThinking = false;
@@ -72,9 +99,12 @@ const ChessDemo = (function() {
 
     /**
      * Initialize the demo
+     * @param {HTMLElement} containerElement
+     * @param {Object} [demoRoute] - { options, update }; options.difficulty (1-10) presets the slider
      */
-    function init(containerElement) {
+    function init(containerElement, demoRoute) {
         container = containerElement;
+        route = demoRoute || null;
         
         // Initialize chess engine
         chess = new Chess();
@@ -97,6 +127,8 @@ const ChessDemo = (function() {
             CONFIG.camera.position.z
         );
         camera.lookAt(CONFIG.camera.lookAt.x, CONFIG.camera.lookAt.y, CONFIG.camera.lookAt.z);
+        defaultOrbit = getCameraOrbit();
+        cameraOrbit = Object.assign({}, defaultOrbit);
         
         // Renderer
         renderer = new THREE.WebGLRenderer({
@@ -118,6 +150,20 @@ const ChessDemo = (function() {
         createElfOpponent();
         createUI();
         
+        const linkedDifficulty = route ? parseInt(route.options.difficulty, 10) : NaN;
+        setDifficulty(linkedDifficulty >= 1 && linkedDifficulty <= 10 ? linkedDifficulty : DEFAULT_DIFFICULTY);
+        
+        // Wave an open hand to start over
+        HandTracking.onMotion(HandTracking.MOTIONS.WAVE, (event) => {
+            if (event.gesture === HandTracking.GESTURES.OPEN_PALM) {
+                resetGame();
+            }
+        });
+        
+        // Pinch with both hands to orbit the camera: twist to turn around the
+        // board, move both up or down to tilt, pull apart or together to zoom
+        HandTracking.on('twohand', onTwoHandTransform);
+        
         // Handle resize
         window.addEventListener('resize', onWindowResize);
         
@@ -166,6 +212,7 @@ const ChessDemo = (function() {
         scene = null;
         camera = null;
         renderer = null;
+        route = null;
         chess = null;
         gameStarted = false;
         pieces = {};
@@ -173,6 +220,10 @@ const ChessDemo = (function() {
         grabbedPiece = null;
         difficultyPanel = null;
         statusText = null;
+        handModel = null;
+        defaultOrbit = null;
+        cameraOrbit = null;
+        orbitAtStart = null;
     }
 
     function createLighting() {
@@ -449,51 +500,8 @@ const ChessDemo = (function() {
     }
 
     function createHandModel() {
-        handModel = new THREE.Group();
-        
-        // Simplified hand with glowing material
-        const handMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4ecdc4,
-            emissive: 0x4ecdc4,
-            emissiveIntensity: 0.3,
-            transparent: true,
-            opacity: 0.8,
-            roughness: 0.3,
-            metalness: 0.5
-        });
-        
-        // Palm
-        const palmGeometry = new THREE.BoxGeometry(0.8, 0.15, 1);
-        const palm = new THREE.Mesh(palmGeometry, handMaterial);
-        handModel.add(palm);
-        
-        // Fingers
-        const fingerPositions = [
-            { x: -0.3, z: 0.6, length: 0.6 },  // Index
-            { x: -0.1, z: 0.65, length: 0.7 }, // Middle
-            { x: 0.1, z: 0.6, length: 0.65 },  // Ring
-            { x: 0.3, z: 0.5, length: 0.5 }    // Pinky
-        ];
-        
-        fingerPositions.forEach(pos => {
-            const fingerGeometry = new THREE.CylinderGeometry(0.06, 0.07, pos.length, 8);
-            const finger = new THREE.Mesh(fingerGeometry, handMaterial.clone());
-            finger.position.set(pos.x, 0, pos.z + pos.length / 2);
-            finger.rotation.x = Math.PI / 2;
-            handModel.add(finger);
-        });
-        
-        // Thumb
-        const thumbGeometry = new THREE.CylinderGeometry(0.07, 0.08, 0.5, 8);
-        const thumb = new THREE.Mesh(thumbGeometry, handMaterial.clone());
-        thumb.position.set(-0.5, 0, 0.2);
-        thumb.rotation.z = Math.PI / 4;
-        thumb.rotation.x = Math.PI / 2;
-        handModel.add(thumb);
-        
-        handModel.scale.set(CONFIG.hand.scale * 8, CONFIG.hand.scale * 8, CONFIG.hand.scale * 8);
-        handModel.visible = false;
-        scene.add(handModel);
+        handModel = HandModel.create({ size: CONFIG.hand.scale * 8, mirror: false });
+        scene.add(handModel.object);
     }
 
     function createElfOpponent() {
@@ -606,12 +614,13 @@ const ChessDemo = (function() {
         // Difficulty selector panel
         difficultyPanel = document.createElement('div');
         difficultyPanel.id = 'chess-difficulty-panel';
+        difficultyPanel.dataset.handDwell = '';
         difficultyPanel.innerHTML = `
             <h2>Hand Chess</h2>
             <p>Play against the Elf</p>
             <div class="difficulty-selector">
-                <label>Difficulty: <span id="difficulty-value">3</span></label>
-                <input type="range" id="difficulty-slider" min="1" max="10" value="3">
+                <label>Difficulty: <span id="difficulty-value">${DEFAULT_DIFFICULTY}</span></label>
+                <input type="range" id="difficulty-slider" min="1" max="10" value="${DEFAULT_DIFFICULTY}">
             </div>
             <button id="start-chess-btn">Start Game</button>
         `;
@@ -619,10 +628,10 @@ const ChessDemo = (function() {
         
         // Event listeners
         const slider = document.getElementById('difficulty-slider');
-        const valueDisplay = document.getElementById('difficulty-value');
         slider.addEventListener('input', (e) => {
-            difficulty = parseInt(e.target.value);
-            valueDisplay.textContent = difficulty;
+            setDifficulty(parseInt(e.target.value));
+            // Keep it in the URL so the link opens at this difficulty
+            if (route) route.update({ difficulty: difficulty });
         });
         
         document.getElementById('start-chess-btn').addEventListener('click', () => {
@@ -637,13 +646,36 @@ const ChessDemo = (function() {
         document.body.appendChild(statusText);
     }
 
+    function setDifficulty(value) {
+        difficulty = value;
+        document.getElementById('difficulty-slider').value = value;
+        document.getElementById('difficulty-value').textContent = value;
+    }
+
     function startGame() {
         gameStarted = true;
         difficultyPanel.style.display = 'none';
+        HandCursor.disable(); // The hand plays from here on
         statusText.style.display = 'block';
         updateStatus();
     }
 
+    /**
+     * Set up a new game at the same difficulty
+     */
+    function resetGame() {
+        if (!gameStarted || isThinking) return;
+        
+        chess.reset();
+        grabbedPiece = null;
+        selectedSquare = null;
+        originalPiecePosition = null;
+        clearHighlights();
+        updatePiecePositions();
+        statusText.classList.remove('game-over');
+        updateStatus();
+    }
+
     function updateStatus() {
         if (!statusText) return;
         
@@ -663,6 +695,53 @@ const ChessDemo = (function() {
         }
     }
 
+    /**
+     * Camera position around the board's center in spherical coordinates
+     */
+    function getCameraOrbit() {
+        const target = CONFIG.camera.lookAt;
+        const offset = camera.position.clone().sub(new THREE.Vector3(target.x, target.y, target.z));
+        const distance = offset.length();
+        return {
+            azimuth: Math.atan2(offset.x, offset.z),
+            elevation: Math.asin(offset.y / distance),
+            distance: distance
+        };
+    }
+
+    function applyCameraOrbit() {
+        const target = CONFIG.camera.lookAt;
+        const { azimuth, elevation, distance } = cameraOrbit;
+        camera.position.set(
+            target.x + distance * Math.cos(elevation) * Math.sin(azimuth),
+            target.y + distance * Math.sin(elevation),
+            target.z + distance * Math.cos(elevation) * Math.cos(azimuth)
+        );
+        camera.lookAt(target.x, target.y, target.z);
+    }
+
+    function onTwoHandTransform(event) {
+        if (event.phase === 'start') {
+            orbitAtStart = Object.assign({}, cameraOrbit);
+            // Both hands are pinching: put back a piece the first pinch picked up,
+            // and don't grab another until the pinch is released
+            if (grabbedPiece) dropPiece(null);
+            lastGrabState = true;
+        } else if (event.phase === 'update' && orbitAtStart) {
+            const { minElevation, maxElevation, minZoom, maxZoom, panElevation } = CONFIG.camera;
+            cameraOrbit.azimuth = orbitAtStart.azimuth + event.rotation;
+            cameraOrbit.elevation = THREE.MathUtils.clamp(
+                orbitAtStart.elevation + event.pan.y * panElevation, minElevation, maxElevation
+            );
+            cameraOrbit.distance = THREE.MathUtils.clamp(
+                orbitAtStart.distance / event.scale, defaultOrbit.distance * minZoom, defaultOrbit.distance * maxZoom
+            );
+            applyCameraOrbit();
+        } else if (event.phase === 'end') {
+            orbitAtStart = null;
+        }
+    }
+
     function onWindowResize() {
         if (!camera || !renderer) return;
         camera.aspect = window.innerWidth / window.innerHeight;
@@ -758,7 +837,8 @@ const ChessDemo = (function() {
     }
 
     function makeAIMove() {
-        if (isGameOver()) return;
+        // The game may have been reset since the move was scheduled
+        if (isGameOver() || chess.turn() !== 'b') return;
         
         isThinking = true;
         updateStatus();
@@ -863,8 +943,8 @@ const ChessDemo = (function() {
         // Update hand model position
         updateHandModel(time);
         
-        // Handle piece interaction
-        if (gameStarted && chess.turn() === 'w' && !isThinking) {
+        // Handle piece interaction (not while both hands orbit the camera)
+        if (gameStarted && chess.turn() === 'w' && !isThinking && !HandTracking.getTwoHandTransform()) {
             handleInteraction();
         }
         
@@ -876,47 +956,17 @@ const ChessDemo = (function() {
 
     function updateHandModel(time) {
         const landmarks = HandTracking.getLandmarks();
-        const isDetected = HandTracking.isDetected();
+        const position = HandTracking.getInteractionPosition(CONFIG.hand.range);
         
-        if (isDetected && landmarks && handModel) {
-            handModel.visible = true;
-            
-            // Map hand position to 3D space
-            // Use wrist position as base
-            const wrist = landmarks[0];
-            const middleFinger = landmarks[9];
-            
-            // Flip X because webcam is mirrored
-            const x = -(wrist.x - 0.5) * 10;
-            const z = (wrist.y - 0.3) * 8;
-            const y = CONFIG.hand.heightOffset + (wrist.z || 0) * -5;
+        if (position && landmarks && handModel) {
+            // Turn with the orbited camera so moving right still moves right on screen
+            const turn = cameraOrbit.azimuth - defaultOrbit.azimuth;
+            handModel.object.position.set(position.x, position.z, position.y).applyAxisAngle(UP, turn);
             
-            handModel.position.set(x, Math.max(0.5, y), z);
-            
-            // Calculate hand rotation (flip for mirrored webcam)
-            const dx = middleFinger.x - wrist.x;
-            const dy = middleFinger.y - wrist.y;
-            const angle = Math.atan2(dx, dy);
-            handModel.rotation.y = -angle; // Negative for mirrored view
-            
-            // Mirror hand based on which hand is detected
-            // MediaPipe 'Right' in mirrored view = user's right hand
-            const handedness = HandTracking.getHandedness();
-            const isRightHand = handedness === 'Right';
-            
-            // Scale based on openness (grabbing animation)
-            const openness = HandTracking.getOpenness();
-            const grabScale = 1 - openness * 0.3;
-            
-            // Mirror X scale for left hand (thumb on correct side)
-            const xScale = isRightHand ? 1 : -1;
-            handModel.scale.set(
-                CONFIG.hand.scale * 8 * grabScale * xScale,
-                CONFIG.hand.scale * 8,
-                CONFIG.hand.scale * 8 * grabScale
-            );
+            handModel.object.quaternion.setFromAxisAngle(UP, turn).multiply(HAND_ON_BOARD);
+            handModel.update(landmarks, HandTracking.getFrameAspect());
         } else if (handModel) {
-            handModel.visible = false;
+            handModel.update(null);
         }
     }
 
@@ -925,13 +975,13 @@ const ChessDemo = (function() {
         const isGrabbing = openness < 0.45; // Pinch or fist (~25% open with headroom)
         const landmarks = HandTracking.getLandmarks();
         
-        if (!landmarks || !handModel.visible) {
+        if (!landmarks || !handModel.object.visible) {
             // Don't drop on hand lost - wait for explicit release
             return;
         }
         
         // Get hand position in world space
-        const handPos = handModel.position.clone();
+        const handPos = handModel.object.position.clone();
         handPos.y = CONFIG.board.height + 0.5;
         
         // Find which square the hand is over
@@ -1058,7 +1108,14 @@ const ChessDemo = (function() {
         init: init,
         destroy: destroy,
         name: 'Hand Chess',
-        description: 'Play chess against an elf using hand gestures'
+        description: 'Play chess against an elf using hand gestures',
+        // The difficulty panel is operated with the hand cursor
+        handCursor: true,
+        // Snappy openness so grab/release registers quickly, steadier hand position
+        filters: {
+            openness: { type: 'oneEuro', minCutoff: 2.5, beta: 2.0 },
+            landmarks: { type: 'oneEuro', minCutoff: 1.0, beta: 8 }
+        }
     };
 })();
 
@@ -25,6 +25,13 @@ const CosmicPrismDemo = (function() {
         ambientRotationSpeed: 0.001
     };
 
+    // Shapes a circle gesture cycles through
+    const SHAPES = ['truncatedOctahedron', 'icosahedron', 'dodecahedron', 'octahedron'];
+
+    // Range of the two-hand debris field scale
+    const DEBRIS_SCALE_MIN = 0.4;
+    const DEBRIS_SCALE_MAX = 2.5;
+
     // Adjust for mobile
     if (HandTracking.isMobile()) {
         CONFIG.particles.count = 600;
@@ -36,6 +43,9 @@ const CosmicPrismDemo = (function() {
     let particleSystem;
     let starField;
     let ambientRotation = 0;
+    let shapeIndex = 0;
+    let debrisScale = 1;
+    let debrisScaleAtStart = 1;
     let animationId = null;
     let container = null;
 
@@ -83,7 +93,7 @@ const CosmicPrismDemo = (function() {
         // Create scene elements
         createCosmicBackground();
         createStarField();
-        createTruncatedOctahedron();
+        createPrism();
         createParticleSystem();
         
         // Lighting
@@ -98,6 +108,22 @@ const CosmicPrismDemo = (function() {
         pointLight2.position.set(-5, -5, 5);
         scene.add(pointLight2);
         
+        // Circle a hand to change shape: clockwise for the next, counterclockwise for the previous
+        HandTracking.onMotion(HandTracking.MOTIONS.CIRCLE, (event) => {
+            cycleShape(event.direction === 'clockwise' ? 1 : -1);
+        });
+        
+        // Pinch with both hands and pull them apart or together to scale the debris field
+        HandTracking.on('twohand', (event) => {
+            if (event.phase === 'start') {
+                debrisScaleAtStart = debrisScale;
+            } else if (event.phase === 'update') {
+                debrisScale = THREE.MathUtils.clamp(
+                    debrisScaleAtStart * event.scale, DEBRIS_SCALE_MIN, DEBRIS_SCALE_MAX
+                );
+            }
+        });
+        
         // Handle resize
         window.addEventListener('resize', onWindowResize);
         
@@ -143,6 +169,8 @@ const CosmicPrismDemo = (function() {
         particleSystem = null;
         starField = null;
         fragmentData = [];
+        shapeIndex = 0;
+        debrisScale = 1;
     }
 
     function createCosmicBackground() {
@@ -299,13 +327,74 @@ const CosmicPrismDemo = (function() {
         scene.add(starField);
     }
 
-    function createTruncatedOctahedron() {
-        const scale = CONFIG.polyhedron.scale;
-        
+    /**
+     * Build the current shape as explodable fragments
+     */
+    function createPrism() {
         prismGroup = new THREE.Group();
         prismGroup.rotation.x = Math.PI * 0.1;
         scene.add(prismGroup);
         
+        const shape = SHAPES[shapeIndex];
+        if (shape === 'truncatedOctahedron') {
+            createTruncatedOctahedron();
+        } else {
+            createPolyhedron(shape);
+        }
+        
+        subdivideFragments();
+    }
+
+    /**
+     * Replace the prism with the next (1) or previous (-1) shape
+     */
+    function cycleShape(step) {
+        if (!prismGroup) return;
+        
+        scene.remove(prismGroup);
+        prismGroup.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        prismFragments = [];
+        fragmentData = [];
+        
+        shapeIndex = (shapeIndex + step + SHAPES.length) % SHAPES.length;
+        createPrism();
+    }
+
+    /**
+     * One fragment per triangle of a Three.js polyhedron, about as large
+     * as the truncated octahedron
+     */
+    function createPolyhedron(shape) {
+        const radius = CONFIG.polyhedron.scale * 1.1;
+        let geometry;
+        switch (shape) {
+            case 'icosahedron':
+                geometry = new THREE.IcosahedronGeometry(radius, 0);
+                break;
+            case 'dodecahedron':
+                geometry = new THREE.DodecahedronGeometry(radius, 0);
+                break;
+            default:
+                geometry = new THREE.OctahedronGeometry(radius, 0);
+        }
+        
+        const positions = geometry.attributes.position;
+        for (let i = 0; i < positions.count; i += 3) {
+            createFragment([
+                new THREE.Vector3().fromBufferAttribute(positions, i),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 1),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 2)
+            ]);
+        }
+        geometry.dispose();
+    }
+
+    function createTruncatedOctahedron() {
+        const scale = CONFIG.polyhedron.scale;
+        
         const coords = [
             [0, 1, 2], [0, 1, -2], [0, -1, 2], [0, -1, -2],
             [0, 2, 1], [0, 2, -1], [0, -2, 1], [0, -2, -1],
@@ -365,8 +454,6 @@ const CosmicPrismDemo = (function() {
                 createFragment([center.clone(), v[i].clone(), v[next].clone()]);
             }
         }
-        
-        subdivideFragments();
     }
 
     function createFragment(vertices) {
@@ -715,7 +802,7 @@ const CosmicPrismDemo = (function() {
             const data = fragmentData[i];
             const delayedOpenness = Math.max(0, (handOpenness - data.delay) / (1 - data.delay));
             const t = easeOutCubic(Math.min(1, delayedOpenness));
-            const explodedPos = data.explosionDirection.clone().multiplyScalar(data.explosionDistance * t);
+            const explodedPos = data.explosionDirection.clone().multiplyScalar(data.explosionDistance * t * debrisScale);
             const basePos = data.originalPosition.clone().add(explodedPos);
             basePositions.push({ pos: basePos, t: t });
         }
@@ -792,9 +879,9 @@ const CosmicPrismDemo = (function() {
             const wobbleY = Math.cos(time * 2.5 + vel.phase) * 0.15 * t;
             const wobbleZ = Math.sin(time * 2 + vel.phase + 1) * 0.15 * t;
             
-            let px = THREE.MathUtils.lerp(particleOriginalPositions[i3], particleExplodedPositions[i3], t) + wobbleX;
-            let py = THREE.MathUtils.lerp(particleOriginalPositions[i3 + 1], particleExplodedPositions[i3 + 1], t) + wobbleY;
-            let pz = THREE.MathUtils.lerp(particleOriginalPositions[i3 + 2], particleExplodedPositions[i3 + 2], t) + wobbleZ;
+            let px = THREE.MathUtils.lerp(particleOriginalPositions[i3], particleExplodedPositions[i3] * debrisScale, t) + wobbleX;
+            let py = THREE.MathUtils.lerp(particleOriginalPositions[i3 + 1], particleExplodedPositions[i3 + 1] * debrisScale, t) + wobbleY;
+            let pz = THREE.MathUtils.lerp(particleOriginalPositions[i3 + 2], particleExplodedPositions[i3 + 2] * debrisScale, t) + wobbleZ;
             
             if (isHandDetected && t > 0.05 && handRotation) {
                 const pos = new THREE.Vector3(px, py, pz);
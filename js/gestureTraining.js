@@ -0,0 +1,322 @@
+/**
+ * Gesture Training
+ * Wizard for teaching the app new gestures without code: name a pose or a
+ * motion, record a few examples of it, and the templates (see
+ * handTemplates.js) are saved in localStorage and can be exported to and
+ * imported from JSON files.
+ */
+
+const GestureTraining = (function() {
+    const STORAGE_KEY = 'handDemos.gestures';
+
+    const PREPARE_TIME = 1500;   // Pause before each example is recorded
+    const POSE_DURATION = 1000;  // Hand-visible time averaged into a pose example
+    const MOTION_DURATION = 2500; // Recording window for a motion example
+    const MIN_EXAMPLES = 3;
+    const MAX_EXAMPLES = 5;
+
+    const TYPE_TEXT = {
+        [HandTemplates.TYPES.POSE]: { text: 'Hold the pose', sub: 'Keep your hand still facing the camera' },
+        [HandTemplates.TYPES.MOTION]: { text: 'Perform the motion', sub: 'Start and end with your hand still' }
+    };
+
+    // UI elements
+    let overlay = null;
+    let titleText = null;
+    let subText = null;
+    let progressFill = null;
+    let exampleDots = null;
+    let animationId = null;
+    let cancelRecording = null; // Rejects the example being recorded
+
+    /**
+     * Read the stored { templates: { [name]: template } } record
+     */
+    function loadStore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.templates) return stored;
+        } catch (error) {
+            console.warn('Ignoring unreadable gesture templates:', error);
+        }
+        return { templates: {} };
+    }
+
+    function saveStore(store) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    }
+
+    function getTemplates() {
+        const templates = loadStore().templates;
+        return Object.keys(templates).sort().map((name) => templates[name]);
+    }
+
+    function getTemplateNames() {
+        return Object.keys(loadStore().templates).sort();
+    }
+
+    function saveTemplate(template) {
+        const store = loadStore();
+        store.templates[template.name] = template;
+        saveStore(store);
+    }
+
+    function deleteTemplate(name) {
+        const store = loadStore();
+        delete store.templates[name];
+        saveStore(store);
+    }
+
+    /**
+     * Save every stored template as a JSON file download
+     */
+    function exportTemplates(filename) {
+        const blob = new Blob([HandTemplates.serialize(getTemplates())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `hand-gestures-${Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Add templates from an exported file, replacing ones with the same name
+     * @param {string} text - File contents
+     * @returns {string[]} Names of the imported templates
+     */
+    function importTemplates(text) {
+        const templates = HandTemplates.parse(text);
+        const store = loadStore();
+        templates.forEach((template) => {
+            store.templates[template.name] = template;
+        });
+        saveStore(store);
+        return templates.map((template) => template.name);
+    }
+
+    /**
+     * Run the training wizard. Hand tracking must already be running.
+     * @returns {Promise<Object|null>} The saved template, or null if cancelled
+     */
+    function run() {
+        return new Promise((resolve) => {
+            createOverlay(`Gesture ${getTemplateNames().length + 1}`);
+
+            const nameInput = overlay.querySelector('.training-name');
+            const typeSelect = overlay.querySelector('.training-type');
+            const recordButton = overlay.querySelector('.training-record');
+            const saveButton = overlay.querySelector('.training-save');
+            const examples = [];
+
+            const finish = (template) => {
+                destroyOverlay();
+                resolve(template);
+            };
+
+            const setRecording = (recording) => {
+                recordButton.classList.toggle('hidden', recording || examples.length >= MAX_EXAMPLES);
+                saveButton.classList.toggle('hidden', recording || examples.length < MIN_EXAMPLES);
+            };
+
+            overlay.querySelector('.training-cancel').addEventListener('click', () => finish(null));
+
+            recordButton.addEventListener('click', async () => {
+                const name = nameInput.value.trim();
+                if (HandTemplates.isBuiltInName(name)) {
+                    subText.textContent = `"${name}" is already a built-in gesture. Pick another name.`;
+                    return;
+                }
+                if (!name) return;
+
+                // The name and type are fixed once the first example is in
+                nameInput.disabled = true;
+                typeSelect.disabled = true;
+                setRecording(true);
+
+                try {
+                    const type = typeSelect.value;
+                    examples.push(type === HandTemplates.TYPES.POSE ? await recordPose() : await recordMotion());
+                    updateExampleDots(examples.length);
+                    titleText.textContent = `Example ${examples.length} recorded`;
+                    subText.textContent = examples.length < MIN_EXAMPLES
+                        ? `Record ${MIN_EXAMPLES - examples.length} more`
+                        : 'Save it, or record more examples for better recognition';
+                    recordButton.textContent = 'Record next';
+                } catch (error) {
+                    if (!overlay) return; // Cancelled mid-example
+                    titleText.textContent = 'Example not recorded';
+                    subText.textContent = error.message;
+                    nameInput.disabled = examples.length > 0;
+                    typeSelect.disabled = examples.length > 0;
+                }
+                progressFill.style.width = '0%';
+                setRecording(false);
+            });
+
+            saveButton.addEventListener('click', () => {
+                const template = HandTemplates.createTemplate(nameInput.value, typeSelect.value, examples);
+                saveTemplate(template);
+                finish(template);
+            });
+        });
+    }
+
+    /**
+     * After the prepare pause, call `sample(hand, now)` every display frame
+     * (hand is null while none is usable) until `elapsedTime(sinceStart)`
+     * reaches `duration`
+     */
+    function recordExample(type, duration, sample, elapsedTime) {
+        return new Promise((resolve, reject) => {
+            titleText.textContent = 'Get ready...';
+            subText.textContent = TYPE_TEXT[type].sub;
+            progressFill.style.width = '0%';
+            HandCursor.pauseClicks(); // No stray clicks while the user poses
+            cancelRecording = () => reject(new Error('Training cancelled'));
+
+            const startTime = performance.now() + PREPARE_TIME;
+
+            function tick() {
+                const now = performance.now();
+                if (now >= startTime) {
+                    titleText.textContent = TYPE_TEXT[type].text;
+                    const hand = HandTracking.getHands()[0];
+                    sample(hand && hand.rawLandmarks && !hand.predicted ? hand : null, now);
+                }
+
+                const elapsed = elapsedTime(now - startTime);
+                progressFill.style.width = `${Math.max(0, Math.min(100, elapsed / duration * 100))}%`;
+
+                if (elapsed >= duration) {
+                    animationId = null;
+                    cancelRecording = null;
+                    HandCursor.resumeClicks();
+                    resolve();
+                } else {
+                    animationId = requestAnimationFrame(tick);
+                }
+            }
+
+            animationId = requestAnimationFrame(tick);
+        });
+    }
+
+    /**
+     * Average the normalized pose over a second of visible hand. Time only
+     * counts while a hand is visible.
+     */
+    async function recordPose() {
+        const poses = [];
+        let sampledTime = 0;
+        let lastTime = null;
+
+        await recordExample(HandTemplates.TYPES.POSE, POSE_DURATION, (hand, now) => {
+            const pose = hand && HandTemplates.normalizePose(hand.rawLandmarks, hand.handedness);
+            if (pose) {
+                poses.push(pose);
+                sampledTime += lastTime === null ? 0 : now - lastTime;
+                subText.textContent = TYPE_TEXT[HandTemplates.TYPES.POSE].sub;
+            } else {
+                subText.textContent = 'Show your hand to the camera';
+            }
+            lastTime = now;
+        }, () => sampledTime);
+
+        return HandTemplates.averagePoses(poses);
+    }
+
+    /**
+     * Record the palm's trajectory for a fixed window; the still parts
+     * before and after the movement are trimmed off
+     */
+    async function recordMotion() {
+        const samples = [];
+
+        await recordExample(HandTemplates.TYPES.MOTION, MOTION_DURATION, (hand, now) => {
+            if (hand) {
+                samples.push(HandMotion.createSample(hand.rawLandmarks, now));
+            }
+        }, (elapsed) => elapsed);
+
+        const path = HandTemplates.createMotionPath(samples);
+        if (!path) {
+            throw new Error('No motion detected. Keep your hand in view and move it further.');
+        }
+        return path;
+    }
+
+    function updateExampleDots(count) {
+        Array.from(exampleDots.children).forEach((dot, i) => {
+            dot.classList.toggle('recorded', i < count);
+        });
+    }
+
+    function createOverlay(defaultName) {
+        overlay = document.createElement('div');
+        overlay.id = 'training-overlay';
+        overlay.innerHTML = `
+            <div class="calibration-panel">
+                <h2>Train a Gesture</h2>
+                <p class="calibration-title">Name your gesture</p>
+                <p class="calibration-sub">Record ${MIN_EXAMPLES} to ${MAX_EXAMPLES} examples of a pose to hold or a motion to make.</p>
+                <input class="training-name" type="text" maxlength="24">
+                <select class="training-type">
+                    <option value="${HandTemplates.TYPES.POSE}">Pose (hold still)</option>
+                    <option value="${HandTemplates.TYPES.MOTION}">Motion (move)</option>
+                </select>
+                <div class="training-examples">${'<span></span>'.repeat(MAX_EXAMPLES)}</div>
+                <div class="calibration-progress"><div class="calibration-progress-fill"></div></div>
+                <div class="calibration-actions" data-hand-dwell>
+                    <button class="training-cancel">Cancel</button>
+                    <button class="training-record">Record example</button>
+                    <button class="training-save hidden">Save</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('.training-name').value = defaultName;
+        titleText = overlay.querySelector('.calibration-title');
+        subText = overlay.querySelector('.calibration-sub');
+        progressFill = overlay.querySelector('.calibration-progress-fill');
+        exampleDots = overlay.querySelector('.training-examples');
+    }
+
+    function destroyOverlay() {
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+            animationId = null;
+        }
+        if (cancelRecording) {
+            const cancel = cancelRecording;
+            cancelRecording = null;
+            HandCursor.resumeClicks();
+            cancel();
+        }
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        overlay = null;
+        titleText = null;
+        subText = null;
+        progressFill = null;
+        exampleDots = null;
+    }
+
+    // Public API
+    return {
+        run: run,
+        getTemplates: getTemplates,
+        getTemplateNames: getTemplateNames,
+        saveTemplate: saveTemplate,
+        deleteTemplate: deleteTemplate,
+        exportTemplates: exportTemplates,
+        importTemplates: importTemplates
+    };
+})();
+
+window.GestureTraining = GestureTraining;
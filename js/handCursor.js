@@ -0,0 +1,319 @@
+/**
+ * Hand Cursor
+ * Screen-space cursor driven by the primary hand's index fingertip, so DOM
+ * controls work without a mouse. Pinching presses and releases (dragging
+ * range sliders). Hovering a control for a moment clicks it too, but only
+ * inside a `data-hand-dwell` container or on a `data-hand-click` element, so
+ * a resting hand can't delete or change settings. Controls get synthetic
+ * pointer and mouse events and the `hand-hover` class while the cursor is
+ * over them. Controls marked `data-hand-no-click` are hovered but never
+ * clicked, for callers that act on getHovered() themselves.
+ * pauseClicks() stops all clicking while the cursor keeps following the hand.
+ */
+
+const HandCursor = (function() {
+    const INDEX_TIP = 8;
+    const FRAME_MARGIN = 0.15;      // Camera frame border left out so the viewport edges are reachable
+    const DWELL_MS = 1200;          // Hovering a control this long clicks it
+    const DWELL_RADIUS = 30;        // Pixels the cursor may drift while dwelling
+    const PINCH_LOOKBACK_MS = 120;  // Pinching pulls the fingertip, so press where it was just before
+    const POINTER_ID = 100;         // pointerId of the synthetic events
+    const CLICKABLE = 'button, a[href], input, select, label, .demo-card, [data-hand-click]';
+    const NO_CLICK = 'data-hand-no-click';
+    const DWELL = '[data-hand-dwell], [data-hand-click]';
+    const RING_LENGTH = 2 * Math.PI * 16;
+
+    // UI elements
+    let cursor = null;
+    let ring = null;
+    let animationId = null;
+
+    // Cursor state
+    let position = null;       // { x, y } in viewport pixels, null while no hand
+    let history = [];          // Recent { time, x, y }
+    let hovered = null;        // Clickable control under the cursor
+    let pressed = null;        // Element the current pinch went down on
+    let wasPinching = false;
+    let dwellStart = null;
+    let dwellOrigin = null;
+    let dwellDone = false;
+    let clicksPaused = false;
+
+    function enable() {
+        if (cursor) return;
+        createCursor();
+        animationId = requestAnimationFrame(tick);
+    }
+
+    function disable() {
+        if (!cursor) return;
+        cancelAnimationFrame(animationId);
+        animationId = null;
+        release();
+        setHovered(null);
+        cursor.parentNode.removeChild(cursor);
+        cursor = null;
+        ring = null;
+        position = null;
+        history = [];
+    }
+
+    function isEnabled() { return !!cursor; }
+
+    /**
+     * Cursor position in viewport pixels, or null while no hand is visible
+     */
+    function getPosition() { return position ? Object.assign({}, position) : null; }
+
+    /**
+     * Control under the cursor, or null
+     */
+    function getHovered() { return hovered; }
+
+    /**
+     * Stop dwell and pinch clicks until resumeClicks(), e.g. while a wizard
+     * samples poses the user makes in front of its buttons
+     */
+    function pauseClicks() {
+        clicksPaused = true;
+        release();
+        resetDwell();
+    }
+
+    function resumeClicks() {
+        clicksPaused = false;
+    }
+
+    function tick() {
+        animationId = requestAnimationFrame(tick);
+
+        const hand = HandTracking.getHands()[0];
+        if (!hand || !hand.landmarks) {
+            hideCursor();
+            return;
+        }
+
+        const now = performance.now();
+        position = toViewport(hand.landmarks[INDEX_TIP]);
+        history.push({ time: now, x: position.x, y: position.y });
+        while (history.length > 1 && now - history[0].time > PINCH_LOOKBACK_MS * 2) {
+            history.shift();
+        }
+
+        cursor.classList.remove('hidden');
+        cursor.classList.toggle('paused', clicksPaused);
+        cursor.style.transform = `translate(${position.x}px, ${position.y}px)`;
+
+        const target = document.elementFromPoint(position.x, position.y);
+        dispatchPointer(target, 'pointermove', 'mousemove', position);
+        setHovered(findClickable(target));
+
+        // Pinch to press, drag and release
+        const pinching = hand.gesture === HandTracking.GESTURES.PINCH;
+        if (pinching && !wasPinching && !clicksPaused) {
+            press(positionAt(now - PINCH_LOOKBACK_MS));
+        } else if (pinching && pressed && isRange(pressed)) {
+            setRangeFromPoint(pressed, position.x);
+        } else if (!pinching && wasPinching) {
+            release(true);
+        }
+        wasPinching = pinching;
+
+        updateDwell(now, pinching);
+    }
+
+    /**
+     * Map a landmark to the viewport. The camera image isn't mirrored, so
+     * image left is screen right.
+     */
+    function toViewport(landmark) {
+        const span = 1 - 2 * FRAME_MARGIN;
+        const u = Math.max(0, Math.min(1, (1 - landmark.x - FRAME_MARGIN) / span));
+        const v = Math.max(0, Math.min(1, (landmark.y - FRAME_MARGIN) / span));
+        return { x: u * window.innerWidth, y: v * window.innerHeight };
+    }
+
+    function positionAt(time) {
+        const sample = history.find((entry) => entry.time >= time) || history[history.length - 1];
+        return { x: sample.x, y: sample.y };
+    }
+
+    function hideCursor() {
+        if (!position) return;
+        release();
+        setHovered(null);
+        cursor.classList.add('hidden');
+        position = null;
+        history = [];
+        wasPinching = false;
+    }
+
+    function findClickable(element) {
+        const clickable = element && element.closest(CLICKABLE);
+        if (!clickable || clickable.disabled || clickable.classList.contains('disabled')) return null;
+        return clickable;
+    }
+
+    function setHovered(element) {
+        if (element === hovered) return;
+
+        if (hovered) {
+            hovered.classList.remove('hand-hover');
+            dispatchPointer(hovered, 'pointerout', 'mouseout', position);
+        }
+        hovered = element;
+        if (hovered) {
+            hovered.classList.add('hand-hover');
+            dispatchPointer(hovered, 'pointerover', 'mouseover', position);
+        }
+        resetDwell();
+    }
+
+    function press(point) {
+        pressed = document.elementFromPoint(point.x, point.y);
+        if (!pressed) return;
+        dispatchPointer(pressed, 'pointerdown', 'mousedown', point);
+        if (isRange(pressed)) {
+            setRangeFromPoint(pressed, point.x);
+        }
+    }
+
+    /**
+     * End a press; `click` activates the pressed control as a mouse click would
+     */
+    function release(click) {
+        if (!pressed) return;
+        const element = pressed;
+        pressed = null;
+
+        dispatchPointer(element, 'pointerup', 'mouseup', position);
+        if (isRange(element)) {
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (click) {
+            // Like a mouse, only click if released over the same control
+            const clickable = findClickable(element);
+            if (clickable && clickable === hovered && !clickable.hasAttribute(NO_CLICK)) {
+                activate(clickable);
+            }
+        }
+        resetDwell();
+        dwellDone = true; // Don't dwell-click right after a pinch click
+    }
+
+    /**
+     * Click a control the way the hand can't: ranges jump to the cursor,
+     * selects step to their next option, text fields take focus
+     */
+    function activate(element) {
+        if (isRange(element)) {
+            setRangeFromPoint(element, position.x);
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (element.tagName === 'SELECT') {
+            if (element.options.length === 0) return;
+            element.selectedIndex = (element.selectedIndex + 1) % element.options.length;
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (element.tagName === 'INPUT' && element.type !== 'checkbox' && element.type !== 'radio') {
+            element.focus();
+        } else {
+            element.dispatchEvent(new MouseEvent('click', eventInit(position)));
+        }
+    }
+
+    function updateDwell(now, pinching) {
+        if (!hovered || pinching || clicksPaused || hovered.hasAttribute(NO_CLICK) || !hovered.closest(DWELL)) {
+            resetDwell();
+            return;
+        }
+
+        if (dwellStart === null || Math.hypot(position.x - dwellOrigin.x, position.y - dwellOrigin.y) > DWELL_RADIUS) {
+            dwellStart = now;
+            dwellOrigin = { x: position.x, y: position.y };
+        }
+
+        const progress = dwellDone ? 0 : Math.min(1, (now - dwellStart) / DWELL_MS);
+        ring.style.strokeDashoffset = RING_LENGTH * (1 - progress);
+
+        if (progress >= 1) {
+            dwellDone = true;
+            activate(hovered);
+        }
+    }
+
+    function resetDwell() {
+        dwellStart = null;
+        dwellOrigin = null;
+        dwellDone = false;
+        if (ring) ring.style.strokeDashoffset = RING_LENGTH;
+    }
+
+    function isRange(element) {
+        return element.tagName === 'INPUT' && element.type === 'range';
+    }
+
+    function setRangeFromPoint(input, x) {
+        const rect = input.getBoundingClientRect();
+        const t = Math.max(0, Math.min(1, (x - rect.left) / rect.width));
+        const min = parseFloat(input.min) || 0;
+        const max = input.max !== '' ? parseFloat(input.max) : 100;
+        const previous = input.value;
+        input.value = min + t * (max - min); // Snaps to the input's step
+        if (input.value !== previous) {
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    function eventInit(point) {
+        return {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            clientX: point ? point.x : 0,
+            clientY: point ? point.y : 0,
+            button: 0,
+            buttons: pressed ? 1 : 0
+        };
+    }
+
+    function dispatchPointer(element, pointerType, mouseType, point) {
+        if (!element) return;
+        const init = eventInit(point);
+        if (typeof PointerEvent !== 'undefined') {
+            element.dispatchEvent(new PointerEvent(pointerType, Object.assign({
+                pointerId: POINTER_ID,
+                pointerType: 'mouse',
+                isPrimary: true
+            }, init)));
+        }
+        element.dispatchEvent(new MouseEvent(mouseType, init));
+    }
+
+    function createCursor() {
+        cursor = document.createElement('div');
+        cursor.id = 'hand-cursor';
+        cursor.className = 'hidden';
+        cursor.innerHTML = `
+            <svg viewBox="0 0 40 40">
+                <circle class="hand-cursor-dot" cx="20" cy="20" r="6"></circle>
+                <circle class="hand-cursor-ring" cx="20" cy="20" r="16"></circle>
+            </svg>
+        `;
+        document.body.appendChild(cursor);
+
+        ring = cursor.querySelector('.hand-cursor-ring');
+        ring.style.strokeDasharray = RING_LENGTH;
+        ring.style.strokeDashoffset = RING_LENGTH;
+    }
+
+    // Public API
+    return {
+        enable: enable,
+        disable: disable,
+        isEnabled: isEnabled,
+        getPosition: getPosition,
+        getHovered: getHovered,
+        pauseClicks: pauseClicks,
+        resumeClicks: resumeClicks
+    };
+})();
+
+window.HandCursor = HandCursor;
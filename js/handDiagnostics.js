@@ -0,0 +1,165 @@
+/**
+ * Diagnostics HUD
+ * Overlay with inference and render FPS, inference latency, each hand's
+ * handedness score and a live plot of raw vs. smoothed openness, for tuning
+ * detection confidence and smoothing on new hardware. Reads
+ * HandTracking.getDiagnostics() every display frame.
+ */
+
+const HandDiagnostics = (function() {
+    const PLOT_SAMPLES = 150;  // Results frames shown in the openness plot
+    const PLOT_WIDTH = 240;
+    const PLOT_HEIGHT = 70;
+
+    // UI elements
+    let panel = null;
+    let statsText = null;
+    let plotCtx = null;
+    let animationId = null;
+
+    // Openness of the primary hand per results frame: { raw, smoothed } or null
+    let samples = [];
+    let lastFrames = -1;
+
+    function show() {
+        if (panel) return;
+        createPanel();
+        animationId = requestAnimationFrame(tick);
+    }
+
+    function hide() {
+        if (!panel) return;
+        cancelAnimationFrame(animationId);
+        animationId = null;
+        panel.parentNode.removeChild(panel);
+        panel = null;
+        statsText = null;
+        plotCtx = null;
+        samples = [];
+        lastFrames = -1;
+    }
+
+    function toggle() {
+        if (panel) {
+            hide();
+        } else {
+            show();
+        }
+        return isVisible();
+    }
+
+    function isVisible() { return !!panel; }
+
+    function tick() {
+        animationId = requestAnimationFrame(tick);
+
+        const diagnostics = HandTracking.getDiagnostics();
+
+        // One plot sample per results frame, not per display frame
+        if (diagnostics.frames !== lastFrames) {
+            lastFrames = diagnostics.frames;
+            const hand = diagnostics.hands[0];
+            samples.push(hand ? { raw: hand.targetOpenness, smoothed: hand.openness } : null);
+            if (samples.length > PLOT_SAMPLES) samples.shift();
+        }
+
+        statsText.textContent = formatStats(diagnostics);
+        drawPlot();
+    }
+
+    function formatStats(diagnostics) {
+        const lines = [
+            `Source     ${diagnostics.source || 'none'}${diagnostics.inWorker ? ' (worker)' : ''}`,
+            `Inference  ${diagnostics.inferenceFps.toFixed(1)} fps`,
+            `Latency    ${diagnostics.latency === null ? '-' : `${Math.round(diagnostics.latency)} ms`}`,
+            `Render     ${diagnostics.renderFps.toFixed(1)} fps`,
+            `Min conf.  detect ${diagnostics.config.minDetectionConfidence.toFixed(2)}  ` +
+                `track ${diagnostics.config.minTrackingConfidence.toFixed(2)}`
+        ];
+
+        if (diagnostics.hands.length === 0) {
+            lines.push('No hands');
+        }
+        for (const hand of diagnostics.hands) {
+            lines.push(
+                `${hand.isPrimary ? '*' : ' '}${hand.handedness.padEnd(6)} #${hand.id}  ` +
+                `score ${hand.score.toFixed(2)}${hand.predicted ? '  predicted' : ''}`
+            );
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Raw openness in pink, smoothed in cyan, newest on the right
+     */
+    function drawPlot() {
+        plotCtx.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+        plotCtx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        plotCtx.beginPath();
+        plotCtx.moveTo(0, PLOT_HEIGHT / 2);
+        plotCtx.lineTo(PLOT_WIDTH, PLOT_HEIGHT / 2);
+        plotCtx.stroke();
+
+        drawSeries('raw', '#ff6b9d');
+        drawSeries('smoothed', '#4ecdc4');
+    }
+
+    function drawSeries(key, color) {
+        const step = PLOT_WIDTH / (PLOT_SAMPLES - 1);
+        const offset = PLOT_SAMPLES - samples.length;
+
+        plotCtx.strokeStyle = color;
+        plotCtx.lineWidth = 1.5;
+        plotCtx.beginPath();
+
+        // Gaps (no hand) break the line
+        let drawing = false;
+        samples.forEach((sample, i) => {
+            if (!sample) {
+                drawing = false;
+                return;
+            }
+            const x = (offset + i) * step;
+            const y = (1 - sample[key]) * (PLOT_HEIGHT - 4) + 2;
+            if (drawing) {
+                plotCtx.lineTo(x, y);
+            } else {
+                plotCtx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        plotCtx.stroke();
+    }
+
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.id = 'diagnostics-hud';
+        panel.innerHTML = `
+            <pre class="diagnostics-stats"></pre>
+            <canvas class="diagnostics-plot"></canvas>
+            <div class="diagnostics-legend">
+                <span class="diagnostics-raw">raw</span>
+                <span class="diagnostics-smoothed">smoothed</span>
+                openness
+            </div>
+        `;
+        document.body.appendChild(panel);
+
+        statsText = panel.querySelector('.diagnostics-stats');
+        const canvas = panel.querySelector('.diagnostics-plot');
+        canvas.width = PLOT_WIDTH;
+        canvas.height = PLOT_HEIGHT;
+        plotCtx = canvas.getContext('2d');
+    }
+
+    // Public API
+    return {
+        show: show,
+        hide: hide,
+        toggle: toggle,
+        isVisible: isVisible
+    };
+})();
+
+window.HandDiagnostics = HandDiagnostics;
@@ -0,0 +1,86 @@
+/**
+ * Hand Tracking Errors
+ * Errors carry a `code` so the UI can explain what went wrong and how to
+ * fix it, instead of showing one generic "allow camera access" message.
+ */
+
+const HandErrors = (function() {
+    const CODES = Object.freeze({
+        PERMISSION_DENIED: 'permission-denied',
+        NO_DEVICE: 'no-device',
+        DEVICE_BUSY: 'device-busy',
+        MODEL_LOAD_FAILED: 'model-load-failed',
+        UNSUPPORTED_BROWSER: 'unsupported-browser',
+        CAMERA_DISCONNECTED: 'camera-disconnected'
+    });
+
+    // getUserMedia DOMException names (including legacy Chrome/Firefox ones)
+    const CAMERA_ERROR_CODES = {
+        NotAllowedError: CODES.PERMISSION_DENIED,
+        PermissionDeniedError: CODES.PERMISSION_DENIED,
+        SecurityError: CODES.PERMISSION_DENIED,
+        NotFoundError: CODES.NO_DEVICE,
+        DevicesNotFoundError: CODES.NO_DEVICE,
+        OverconstrainedError: CODES.NO_DEVICE,
+        ConstraintNotSatisfiedError: CODES.NO_DEVICE,
+        NotReadableError: CODES.DEVICE_BUSY,
+        TrackStartError: CODES.DEVICE_BUSY,
+        AbortError: CODES.DEVICE_BUSY
+    };
+
+    /**
+     * Create an Error with a code from CODES
+     * @param {string} code
+     * @param {string} message
+     * @param {Error} [cause] - The underlying error
+     */
+    function create(code, message, cause) {
+        const error = new Error(message);
+        error.name = 'HandTrackingError';
+        error.code = code;
+        if (cause) error.cause = cause;
+        return error;
+    }
+
+    /**
+     * Classify a getUserMedia failure
+     */
+    function fromCameraError(error) {
+        if (error && error.code && error.name === 'HandTrackingError') return error;
+
+        const code = (error && CAMERA_ERROR_CODES[error.name]) || CODES.DEVICE_BUSY;
+        const messages = {
+            [CODES.PERMISSION_DENIED]: 'Camera access was denied',
+            [CODES.NO_DEVICE]: 'No matching camera was found',
+            [CODES.DEVICE_BUSY]: 'The camera could not be started'
+        };
+        return create(code, messages[code], error);
+    }
+
+    /**
+     * Whether the browser can use the camera at all (needs HTTPS or localhost)
+     */
+    function checkCameraSupport() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw create(
+                CODES.UNSUPPORTED_BROWSER,
+                window.isSecureContext === false
+                    ? 'Camera access requires HTTPS or localhost'
+                    : 'This browser does not support camera access'
+            );
+        }
+        if (typeof WebAssembly === 'undefined') {
+            throw create(CODES.UNSUPPORTED_BROWSER, 'This browser does not support WebAssembly');
+        }
+    }
+
+    // Public API
+    return {
+        CODES: CODES,
+        create: create,
+        fromCameraError: fromCameraError,
+        checkCameraSupport: checkCameraSupport
+    };
+})();
+
+window.HandErrors = HandErrors;
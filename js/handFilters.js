@@ -0,0 +1,263 @@
+/**
+ * Hand Filters
+ * Time-based smoothing filters for landmarks, openness and rotation.
+ * Every filter takes timestamps in milliseconds, so its latency no longer
+ * depends on the display refresh rate.
+ */
+
+const HandFilters = (function() {
+    // Default filter settings per channel
+    const DEFAULTS = {
+        landmarks: { type: 'oneEuro', minCutoff: 2.0, beta: 10, dCutoff: 1.0 },
+        openness: { type: 'oneEuro', minCutoff: 1.2, beta: 0.8, dCutoff: 1.0 },
+        rotation: { type: 'oneEuro', minCutoff: 1.5, beta: 0.5, dCutoff: 1.0 }
+    };
+
+    const filterTypes = {
+        none: createPassthroughFilter,
+        oneEuro: createOneEuroFilter,
+        kalman: createKalmanFilter
+    };
+
+    /**
+     * Smoothing factor for a first-order low-pass filter
+     */
+    function lowPassAlpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Filter that returns its input unchanged
+     */
+    function createPassthroughFilter() {
+        let value = null;
+        return {
+            filter(x) {
+                value = x;
+                return x;
+            },
+            predict() { return value; },
+            getVelocity() { return 0; },
+            reset() { value = null; }
+        };
+    }
+
+    /**
+     * One Euro filter (Casiez et al. 2012): an adaptive low-pass filter whose
+     * cutoff rises with speed - smooth when still, responsive when moving.
+     * @param {Object} options - { minCutoff (Hz), beta, dCutoff (Hz) }
+     */
+    function createOneEuroFilter(options) {
+        const minCutoff = options.minCutoff !== undefined ? options.minCutoff : 1.0;
+        const beta = options.beta !== undefined ? options.beta : 0;
+        const dCutoff = options.dCutoff !== undefined ? options.dCutoff : 1.0;
+
+        let value = null;
+        let velocity = 0;
+        let lastTime = null;
+
+        return {
+            filter(x, timestamp) {
+                if (value === null) {
+                    value = x;
+                    velocity = 0;
+                    lastTime = timestamp;
+                    return value;
+                }
+
+                const dt = (timestamp - lastTime) / 1000;
+                if (dt <= 0) return value;
+                lastTime = timestamp;
+
+                const rawVelocity = (x - value) / dt;
+                velocity += (rawVelocity - velocity) * lowPassAlpha(dCutoff, dt);
+
+                const cutoff = minCutoff + beta * Math.abs(velocity);
+                value += (x - value) * lowPassAlpha(cutoff, dt);
+                return value;
+            },
+            predict(timestamp) {
+                if (value === null) return null;
+                return value + velocity * (timestamp - lastTime) / 1000;
+            },
+            getVelocity() { return velocity; },
+            reset() {
+                value = null;
+                velocity = 0;
+                lastTime = null;
+            }
+        };
+    }
+
+    /**
+     * Constant-velocity Kalman filter on a single value.
+     * @param {Object} options - { processNoise, measurementNoise }
+     *   processNoise is the expected acceleration variance (units/s^2)^2,
+     *   measurementNoise the variance of a single measurement.
+     */
+    function createKalmanFilter(options) {
+        const q = options.processNoise !== undefined ? options.processNoise : 1.0;
+        const r = options.measurementNoise !== undefined ? options.measurementNoise : 0.001;
+
+        // State [position, velocity] and its covariance
+        let x = null;
+        let v = 0;
+        let p00 = 1, p01 = 0, p10 = 0, p11 = 1;
+        let lastTime = null;
+
+        return {
+            filter(z, timestamp) {
+                if (x === null) {
+                    x = z;
+                    v = 0;
+                    p00 = r; p01 = 0; p10 = 0; p11 = 1;
+                    lastTime = timestamp;
+                    return x;
+                }
+
+                const dt = (timestamp - lastTime) / 1000;
+                if (dt <= 0) return x;
+                lastTime = timestamp;
+
+                // Predict
+                x += v * dt;
+                const dt2 = dt * dt;
+                const n00 = p00 + dt * (p10 + p01) + dt2 * p11 + q * dt2 * dt2 / 4;
+                const n01 = p01 + dt * p11 + q * dt2 * dt / 2;
+                const n10 = p10 + dt * p11 + q * dt2 * dt / 2;
+                const n11 = p11 + q * dt2;
+
+                // Update
+                const s = n00 + r;
+                const k0 = n00 / s;
+                const k1 = n10 / s;
+                const innovation = z - x;
+                x += k0 * innovation;
+                v += k1 * innovation;
+
+                p00 = (1 - k0) * n00;
+                p01 = (1 - k0) * n01;
+                p10 = n10 - k1 * n00;
+                p11 = n11 - k1 * n01;
+                return x;
+            },
+            predict(timestamp) {
+                if (x === null) return null;
+                return x + v * (timestamp - lastTime) / 1000;
+            },
+            getVelocity() { return v; },
+            reset() {
+                x = null;
+                v = 0;
+                lastTime = null;
+            }
+        };
+    }
+
+    /**
+     * Create a scalar filter from a settings object ({ type, ...options })
+     */
+    function create(settings) {
+        const factory = filterTypes[settings && settings.type];
+        if (!factory) {
+            throw new Error(`Unknown filter type: ${settings && settings.type}`);
+        }
+        return factory(settings);
+    }
+
+    /**
+     * Filter all 21 landmarks (x, y and z independently)
+     */
+    function createLandmarkFilter(settings) {
+        let channels = [];
+
+        return {
+            filter(landmarks, timestamp) {
+                while (channels.length < landmarks.length) {
+                    channels.push([create(settings), create(settings), create(settings)]);
+                }
+                return landmarks.map((landmark, i) => {
+                    const [fx, fy, fz] = channels[i];
+                    return {
+                        x: fx.filter(landmark.x, timestamp),
+                        y: fy.filter(landmark.y, timestamp),
+                        z: fz.filter(landmark.z || 0, timestamp)
+                    };
+                });
+            },
+            predict(timestamp) {
+                if (channels.length === 0) return null;
+                return channels.map(([fx, fy, fz]) => ({
+                    x: fx.predict(timestamp),
+                    y: fy.predict(timestamp),
+                    z: fz.predict(timestamp)
+                }));
+            },
+            reset() { channels = []; }
+        };
+    }
+
+    /**
+     * Filter a rotation quaternion component-wise, keeping successive
+     * samples in the same hemisphere and renormalizing the result
+     */
+    function createQuaternionFilter(settings) {
+        const components = [create(settings), create(settings), create(settings), create(settings)];
+        let last = null;
+
+        return {
+            filter(q, timestamp, target) {
+                let { x, y, z, w } = q;
+                if (last && last.x * x + last.y * y + last.z * z + last.w * w < 0) {
+                    x = -x; y = -y; z = -z; w = -w;
+                }
+
+                const fx = components[0].filter(x, timestamp);
+                const fy = components[1].filter(y, timestamp);
+                const fz = components[2].filter(z, timestamp);
+                const fw = components[3].filter(w, timestamp);
+                const length = Math.hypot(fx, fy, fz, fw) || 1;
+
+                last = { x: fx / length, y: fy / length, z: fz / length, w: fw / length };
+                if (target) {
+                    target.set(last.x, last.y, last.z, last.w);
+                    return target;
+                }
+                return last;
+            },
+            reset() {
+                components.forEach((component) => component.reset());
+                last = null;
+            }
+        };
+    }
+
+    /**
+     * Merge partial per-channel settings over a base set
+     */
+    function mergeSettings(base, overrides) {
+        const merged = {};
+        for (const channel in base) {
+            const override = overrides && overrides[channel];
+            // Switching type starts from that type's own defaults
+            merged[channel] = override && override.type && override.type !== base[channel].type
+                ? Object.assign({}, override)
+                : Object.assign({}, base[channel], override);
+        }
+        return merged;
+    }
+
+    // Public API
+    return {
+        DEFAULTS: DEFAULTS,
+        create: create,
+        createOneEuroFilter: createOneEuroFilter,
+        createKalmanFilter: createKalmanFilter,
+        createLandmarkFilter: createLandmarkFilter,
+        createQuaternionFilter: createQuaternionFilter,
+        mergeSettings: mergeSettings
+    };
+})();
+
+window.HandFilters = HandFilters;
@@ -0,0 +1,516 @@
+/**
+ * Hand Math
+ * Pure functions over MediaPipe's 21 hand landmarks: openness, rotation
+ * (and its shaping), per-finger metrics and gesture scores. No DOM, camera or Three.js needed,
+ * so this file also loads under Node (module.exports).
+ *
+ * Landmarks are { x, y, z } in normalized image coordinates (x right,
+ * y down, z toward the camera is negative); z may be omitted.
+ */
+
+const HandMath = (function() {
+    const GESTURES = Object.freeze({
+        PINCH: 'pinch',
+        POINT: 'point',
+        THUMBS_UP: 'thumbsUp',
+        PEACE: 'peace',
+        OK: 'ok',
+        OPEN_PALM: 'openPalm',
+        FIST: 'fist'
+    });
+
+    // Average tip-to-base ratio of a closed fist and a fully open hand
+    const DEFAULT_OPENNESS_RANGE = Object.freeze({ minRatio: 0.45, maxRatio: 0.85 });
+
+    // Per-axis rotation shaping: no dead zone, linear, full range at 90 degrees
+    const DEFAULT_ROTATION_RESPONSE = Object.freeze({
+        roll: Object.freeze({ deadZone: 0, exponent: 1, sensitivity: 1, range: Math.PI / 2 }),
+        pitch: Object.freeze({ deadZone: 0, exponent: 1, sensitivity: 1, range: Math.PI / 2 }),
+        yaw: Object.freeze({ deadZone: 0, exponent: 1, sensitivity: 1, range: Math.PI / 2 })
+    });
+
+    /**
+     * Distance between two landmarks
+     */
+    function landmarkDistance(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const dz = (a.z || 0) - (b.z || 0);
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    /**
+     * Whether there are 21 landmarks with usable coordinates
+     */
+    function hasLandmarks(landmarks) {
+        return Array.isArray(landmarks) && landmarks.length >= 21 &&
+            landmarks.every((landmark) => landmark && isFinite(landmark.x) && isFinite(landmark.y));
+    }
+
+    /**
+     * Hand size reference used to normalize distances (wrist to middle MCP).
+     * 0 for missing or malformed landmarks.
+     */
+    function calculateHandSize(landmarks) {
+        if (!hasLandmarks(landmarks)) return 0;
+        return landmarkDistance(landmarks[0], landmarks[9]);
+    }
+
+    /**
+     * Palm center in normalized image coordinates (wrist and finger MCPs).
+     * Null for missing or malformed landmarks.
+     */
+    function calculatePalmCenter(landmarks) {
+        if (!hasLandmarks(landmarks)) return null;
+
+        const indices = [0, 5, 9, 13, 17];
+        let x = 0;
+        let y = 0;
+        for (const i of indices) {
+            x += landmarks[i].x;
+            y += landmarks[i].y;
+        }
+        return { x: x / indices.length, y: y / indices.length };
+    }
+
+    /**
+     * Average fingertip-to-base distance in hand sizes, before it is
+     * mapped onto 0-1. Returns 0 for a degenerate hand.
+     */
+    function calculateOpennessRatio(landmarks) {
+        const handSize = calculateHandSize(landmarks);
+        if (handSize < 0.001) return 0;
+
+        // Fingertips and their corresponding base joints
+        const fingers = [
+            { tip: landmarks[4], base: landmarks[2] },   // Thumb
+            { tip: landmarks[8], base: landmarks[5] },   // Index
+            { tip: landmarks[12], base: landmarks[9] },  // Middle
+            { tip: landmarks[16], base: landmarks[13] }, // Ring
+            { tip: landmarks[20], base: landmarks[17] }  // Pinky
+        ];
+
+        let totalRatio = 0;
+        for (const finger of fingers) {
+            totalRatio += landmarkDistance(finger.tip, finger.base) / handSize;
+        }
+        return totalRatio / fingers.length;
+    }
+
+    /**
+     * Calculate hand openness (0 = closed fist, 1 = fully open)
+     * @param {Object} [range] - { minRatio, maxRatio } (default 0.45 / 0.85)
+     */
+    function calculateHandOpenness(landmarks, range) {
+        const { minRatio, maxRatio } = range || DEFAULT_OPENNESS_RANGE;
+        if (calculateHandSize(landmarks) < 0.001) return 0;
+
+        const normalized = (calculateOpennessRatio(landmarks) - minRatio) / (maxRatio - minRatio);
+        return Math.max(0, Math.min(1, normalized));
+    }
+
+    /**
+     * Landmark as a vector centered on the image, y up
+     */
+    function toCentered(landmark) {
+        return [landmark.x - 0.5, -(landmark.y - 0.5), landmark.z || 0];
+    }
+
+    function subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    function normalize(v) {
+        const length = Math.hypot(v[0], v[1], v[2]);
+        return length < 1e-9 ? null : [v[0] / length, v[1] / length, v[2] / length];
+    }
+
+    /**
+     * Orthonormal hand axes: right (pinky to index), up (wrist to middle
+     * finger) and forward (palm normal). Null for a degenerate hand.
+     */
+    function calculateHandBasis(landmarks) {
+        if (!hasLandmarks(landmarks)) return null;
+
+        const wrist = toCentered(landmarks[0]);
+        const indexMCP = toCentered(landmarks[5]);
+        const middleMCP = toCentered(landmarks[9]);
+        const pinkyMCP = toCentered(landmarks[17]);
+
+        // Hand "up" direction (wrist to middle finger)
+        const up = normalize(subtract(middleMCP, wrist));
+
+        // Hand "right" direction (pinky to index - reversed for correct visual roll)
+        let right = normalize(subtract(indexMCP, pinkyMCP));
+        if (!up || !right) return null;
+
+        // Hand "forward" direction (palm normal)
+        const forward = normalize(cross(right, up));
+        if (!forward) return null;
+
+        // Recalculate right to ensure orthogonality
+        right = normalize(cross(up, forward));
+
+        return { right, up, forward };
+    }
+
+    /**
+     * Calculate hand rotation as a quaternion { x, y, z, w } whose rotation
+     * matrix has the hand axes as columns. Identity = fingers up, index
+     * knuckle to the right of the pinky knuckle. Null for a degenerate hand.
+     */
+    function calculateHandQuaternion(landmarks) {
+        const basis = calculateHandBasis(landmarks);
+        if (!basis) return null;
+
+        const { right, up, forward } = basis;
+        const m11 = right[0], m12 = up[0], m13 = forward[0];
+        const m21 = right[1], m22 = up[1], m23 = forward[1];
+        const m31 = right[2], m32 = up[2], m33 = forward[2];
+        const trace = m11 + m22 + m33;
+
+        let s;
+        if (trace > 0) {
+            s = 0.5 / Math.sqrt(trace + 1);
+            return { x: (m32 - m23) * s, y: (m13 - m31) * s, z: (m21 - m12) * s, w: 0.25 / s };
+        } else if (m11 > m22 && m11 > m33) {
+            s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+            return { x: 0.25 * s, y: (m12 + m21) / s, z: (m13 + m31) / s, w: (m32 - m23) / s };
+        } else if (m22 > m33) {
+            s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+            return { x: (m12 + m21) / s, y: 0.25 * s, z: (m23 + m32) / s, w: (m13 - m31) / s };
+        }
+        s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+        return { x: (m13 + m31) / s, y: (m23 + m32) / s, z: 0.25 * s, w: (m21 - m12) / s };
+    }
+
+    function multiplyQuaternions(a, b) {
+        return {
+            x: a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+            y: a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+            z: a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+            w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+        };
+    }
+
+    function invertQuaternion(q) {
+        return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+    }
+
+    /**
+     * Rotation of the mirror-image hand: a left hand held like a right one
+     * in the mirror. Mirroring flips x, and the flipped basis is turned half
+     * a turn about up to stay right-handed. Its own inverse.
+     */
+    function mirrorHandQuaternion(q) {
+        return multiplyQuaternions({ x: q.x, y: -q.y, z: -q.z, w: q.w }, { x: 0, y: 1, z: 0, w: 0 });
+    }
+
+    /**
+     * Neutral rotations of both hands from one measured on a single hand
+     * @param {Object} q - Quaternion of the resting hand
+     * @param {string} handedness - 'Left' or 'Right', the hand it was measured on
+     * @returns {Object} { Left, Right }
+     */
+    function createNeutralRotations(q, handedness) {
+        const mirrored = mirrorHandQuaternion(q);
+        return handedness === 'Left'
+            ? { Left: q, Right: mirrored }
+            : { Left: mirrored, Right: q };
+    }
+
+    /**
+     * Split a unit quaternion into Euler angles in radians, applied yaw (y),
+     * then pitch (x), then roll (z) - Three.js order 'YXZ'
+     */
+    function quaternionToEuler(q) {
+        const { x, y, z, w } = q;
+        const m13 = 2 * (x * z + w * y);
+        const m21 = 2 * (x * y + w * z);
+        const m22 = 1 - 2 * (x * x + z * z);
+        const m23 = 2 * (y * z - w * x);
+        const m31 = 2 * (x * z - w * y);
+        const m33 = 1 - 2 * (x * x + y * y);
+        const m11 = 1 - 2 * (y * y + z * z);
+
+        const pitch = Math.asin(Math.max(-1, Math.min(1, -m23)));
+        if (Math.abs(m23) < 0.9999999) {
+            return { pitch: pitch, yaw: Math.atan2(m13, m33), roll: Math.atan2(m21, m22) };
+        }
+        return { pitch: pitch, yaw: Math.atan2(-m31, m11), roll: 0 };
+    }
+
+    /**
+     * Inverse of quaternionToEuler
+     */
+    function eulerToQuaternion(euler) {
+        const c1 = Math.cos(euler.pitch / 2), s1 = Math.sin(euler.pitch / 2);
+        const c2 = Math.cos(euler.yaw / 2), s2 = Math.sin(euler.yaw / 2);
+        const c3 = Math.cos(euler.roll / 2), s3 = Math.sin(euler.roll / 2);
+        return {
+            x: s1 * c2 * c3 + c1 * s2 * s3,
+            y: c1 * s2 * c3 - s1 * c2 * s3,
+            z: c1 * c2 * s3 - s1 * s2 * c3,
+            w: c1 * c2 * c3 + s1 * s2 * s3
+        };
+    }
+
+    /**
+     * Shape one angle: zero inside the dead zone, then a power curve that
+     * reaches `range` (times sensitivity) at `range` and holds there beyond
+     * @param {Object} curve - { deadZone, exponent, sensitivity, range } (radians)
+     */
+    function applyResponseCurve(angle, curve) {
+        const magnitude = Math.abs(angle);
+        if (magnitude <= curve.deadZone) return 0;
+
+        const t = Math.min(1, (magnitude - curve.deadZone) / (curve.range - curve.deadZone));
+        return Math.sign(angle) * curve.sensitivity * curve.range * Math.pow(t, curve.exponent);
+    }
+
+    /**
+     * Rotation relative to a neutral pose, with a response curve per axis.
+     * The neutral is removed in the hand's own frame, so a hand resting at
+     * an angle reads as level.
+     * @param {Object} q - Absolute hand quaternion { x, y, z, w }
+     * @param {Object|null} neutral - Quaternion of the resting hand, or null
+     * @param {Object} [response] - { roll, pitch, yaw } curves (see applyResponseCurve)
+     */
+    function shapeRotation(q, neutral, response) {
+        const relative = neutral ? multiplyQuaternions(invertQuaternion(neutral), q) : q;
+        const curves = response || DEFAULT_ROTATION_RESPONSE;
+        const euler = quaternionToEuler(relative);
+
+        return eulerToQuaternion({
+            roll: applyResponseCurve(euler.roll, curves.roll),
+            pitch: applyResponseCurve(euler.pitch, curves.pitch),
+            yaw: applyResponseCurve(euler.yaw, curves.yaw)
+        });
+    }
+
+    /**
+     * Merge partial per-axis curves over a base response, rejecting values
+     * that would make the curve meaningless
+     */
+    function mergeRotationResponse(base, overrides) {
+        const merged = {};
+        for (const axis in base) {
+            const curve = Object.assign({}, base[axis], overrides && overrides[axis]);
+            for (const key in curve) {
+                if (typeof curve[key] !== 'number' || !isFinite(curve[key])) {
+                    throw new Error(`Invalid rotation response ${axis}.${key}: ${curve[key]}`);
+                }
+            }
+            if (curve.deadZone < 0 || curve.deadZone >= curve.range || curve.exponent <= 0) {
+                throw new Error(`Invalid rotation response for ${axis}`);
+            }
+            merged[axis] = curve;
+        }
+        return merged;
+    }
+
+    /**
+     * An object with every key set to 0
+     */
+    function zeros(keys) {
+        const result = {};
+        for (const key of keys) result[key] = 0;
+        return result;
+    }
+
+    /**
+     * Calculate how bent each finger is (0 = straight, 1 = fully curled).
+     * Uses the ratio of the knuckle-to-tip distance to the summed segment
+     * lengths, which is independent of hand size and distance from camera.
+     * All 0 for missing or malformed landmarks.
+     */
+    function calculateFingerCurls(landmarks) {
+        if (!hasLandmarks(landmarks)) return zeros(['thumb', 'index', 'middle', 'ring', 'pinky']);
+
+        const chains = {
+            thumb: [2, 3, 4],
+            index: [5, 6, 7, 8],
+            middle: [9, 10, 11, 12],
+            ring: [13, 14, 15, 16],
+            pinky: [17, 18, 19, 20]
+        };
+
+        // Straightness of a fully curled finger (thumb folds far less)
+        const curledStraightness = { thumb: 0.75, index: 0.35, middle: 0.35, ring: 0.35, pinky: 0.4 };
+        const straight = 0.95;
+
+        const curls = {};
+        for (const name in chains) {
+            const chain = chains[name];
+            let pathLength = 0;
+            for (let i = 1; i < chain.length; i++) {
+                pathLength += landmarkDistance(landmarks[chain[i - 1]], landmarks[chain[i]]);
+            }
+
+            if (pathLength < 0.0001) {
+                curls[name] = 0;
+                continue;
+            }
+
+            const straightness = landmarkDistance(landmarks[chain[0]], landmarks[chain[chain.length - 1]]) / pathLength;
+            const curl = (straight - straightness) / (straight - curledStraightness[name]);
+            curls[name] = Math.max(0, Math.min(1, curl));
+        }
+        return curls;
+    }
+
+    /**
+     * Distance from the thumb tip to each other fingertip, in hand sizes
+     * (0 = touching, ~1.5 = spread wide). All 0 for a degenerate hand.
+     */
+    function calculatePinchDistances(landmarks, handSize) {
+        if (!hasLandmarks(landmarks)) return zeros(['index', 'middle', 'ring', 'pinky']);
+        if (handSize === undefined) handSize = calculateHandSize(landmarks);
+        const thumbTip = landmarks[4];
+        const tips = { index: 8, middle: 12, ring: 16, pinky: 20 };
+
+        const distances = {};
+        for (const name in tips) {
+            distances[name] = handSize < 0.001 ? 0 : landmarkDistance(thumbTip, landmarks[tips[name]]) / handSize;
+        }
+        return distances;
+    }
+
+    /**
+     * Angle in radians between neighbouring fingers, measured on the
+     * knuckle-to-middle-joint segments so curling doesn't change it.
+     * All 0 for missing or malformed landmarks.
+     */
+    function calculateFingerSpread(landmarks) {
+        if (!hasLandmarks(landmarks)) return zeros(['thumbIndex', 'indexMiddle', 'middleRing', 'ringPinky']);
+
+        const segments = {
+            thumb: [2, 3],
+            index: [5, 6],
+            middle: [9, 10],
+            ring: [13, 14],
+            pinky: [17, 18]
+        };
+
+        const directions = {};
+        for (const name in segments) {
+            const [from, to] = segments[name];
+            directions[name] = {
+                x: landmarks[to].x - landmarks[from].x,
+                y: landmarks[to].y - landmarks[from].y,
+                z: (landmarks[to].z || 0) - (landmarks[from].z || 0)
+            };
+        }
+
+        const angleBetween = (a, b) => {
+            const lengths = Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z);
+            if (lengths < 1e-8) return 0;
+            const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+            return Math.acos(Math.max(-1, Math.min(1, cos)));
+        };
+
+        return {
+            thumbIndex: angleBetween(directions.thumb, directions.index),
+            indexMiddle: angleBetween(directions.index, directions.middle),
+            middleRing: angleBetween(directions.middle, directions.ring),
+            ringPinky: angleBetween(directions.ring, directions.pinky)
+        };
+    }
+
+    /**
+     * All per-finger metrics for one hand (handSize 0 and all metrics 0 for
+     * missing or malformed landmarks)
+     */
+    function calculateFingerMetrics(landmarks) {
+        const handSize = calculateHandSize(landmarks);
+        return {
+            handSize: handSize,
+            curls: calculateFingerCurls(landmarks),
+            pinchDistances: calculatePinchDistances(landmarks, handSize),
+            spread: calculateFingerSpread(landmarks)
+        };
+    }
+
+    /**
+     * Score every known gesture for one hand (0-1 each)
+     */
+    function classifyGestures(landmarks, metrics) {
+        const scores = {};
+        for (const key in GESTURES) scores[GESTURES[key]] = 0;
+
+        if (!hasLandmarks(landmarks)) return scores;
+        if (!metrics) metrics = calculateFingerMetrics(landmarks);
+        const handSize = metrics.handSize;
+        if (handSize < 0.001) return scores;
+
+        const curls = metrics.curls;
+        const extended = {};
+        for (const name in curls) extended[name] = 1 - curls[name];
+
+        const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+        // Thumb and index tips touching (normalized by hand size)
+        const pinchDistance = metrics.pinchDistances.index;
+        const pinchClosed = clamp01((0.5 - pinchDistance) / (0.5 - 0.2));
+
+        // Thumb tip well above the thumb MCP in image space
+        const thumbRise = (landmarks[2].y - landmarks[4].y) / handSize;
+        const thumbUp = clamp01((thumbRise - 0.2) / 0.4) * extended.thumb;
+
+        const fourCurled = Math.min(curls.index, curls.middle, curls.ring, curls.pinky);
+        const lastThreeExtended = Math.min(extended.middle, extended.ring, extended.pinky);
+
+        scores[GESTURES.OPEN_PALM] = Math.min(extended.thumb, extended.index, extended.middle, extended.ring, extended.pinky) * (1 - pinchClosed);
+        scores[GESTURES.FIST] = fourCurled * (1 - thumbUp);
+        scores[GESTURES.THUMBS_UP] = thumbUp * fourCurled;
+        scores[GESTURES.POINT] = extended.index * Math.min(curls.middle, curls.ring, curls.pinky) * (1 - pinchClosed);
+        scores[GESTURES.PEACE] = Math.min(extended.index, extended.middle) * Math.min(curls.ring, curls.pinky) * (1 - pinchClosed);
+        scores[GESTURES.OK] = pinchClosed * lastThreeExtended;
+        scores[GESTURES.PINCH] = pinchClosed * (1 - lastThreeExtended) * (1 - fourCurled);
+
+        return scores;
+    }
+
+    // Public API
+    return {
+        GESTURES: GESTURES,
+        DEFAULT_OPENNESS_RANGE: DEFAULT_OPENNESS_RANGE,
+        DEFAULT_ROTATION_RESPONSE: DEFAULT_ROTATION_RESPONSE,
+        landmarkDistance: landmarkDistance,
+        hasLandmarks: hasLandmarks,
+        calculateHandSize: calculateHandSize,
+        calculatePalmCenter: calculatePalmCenter,
+        calculateOpennessRatio: calculateOpennessRatio,
+        calculateHandOpenness: calculateHandOpenness,
+        calculateHandBasis: calculateHandBasis,
+        calculateHandQuaternion: calculateHandQuaternion,
+        multiplyQuaternions: multiplyQuaternions,
+        invertQuaternion: invertQuaternion,
+        mirrorHandQuaternion: mirrorHandQuaternion,
+        createNeutralRotations: createNeutralRotations,
+        quaternionToEuler: quaternionToEuler,
+        eulerToQuaternion: eulerToQuaternion,
+        applyResponseCurve: applyResponseCurve,
+        shapeRotation: shapeRotation,
+        mergeRotationResponse: mergeRotationResponse,
+        calculateFingerCurls: calculateFingerCurls,
+        calculatePinchDistances: calculatePinchDistances,
+        calculateFingerSpread: calculateFingerSpread,
+        calculateFingerMetrics: calculateFingerMetrics,
+        classifyGestures: classifyGestures
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandMath;
+} else {
+    window.HandMath = HandMath;
+}
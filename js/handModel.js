@@ -0,0 +1,168 @@
+/**
+ * Hand Model
+ * Jointed low-poly 3D hand for demos: a joint per landmark, a bone per
+ * finger segment and a palm, posed every frame from all 21 landmarks so
+ * each finger bends the way the real one does.
+ *
+ * The model is built in the hand's own space: the wrist at the origin, one
+ * hand size (wrist to middle knuckle) = `size` world units, x to the right,
+ * y up and z toward the camera. By default x is mirrored like the preview,
+ * so the user sees their right hand on the right; since every joint follows
+ * its landmark, left and right hands both come out with the thumb on the
+ * correct side. Demos place and orient `object` in their scene.
+ */
+
+const HandModel = (function() {
+    const PALM = [0, 1, 5, 9, 13, 17]; // Wrist, thumb base and the four knuckles, around the palm
+    const BONES = [
+        [0, 1], [1, 2], [2, 3], [3, 4],         // Thumb
+        [5, 6], [6, 7], [7, 8],                 // Index
+        [9, 10], [10, 11], [11, 12],            // Middle
+        [13, 14], [14, 15], [15, 16],           // Ring
+        [17, 18], [18, 19], [19, 20]            // Pinky
+    ];
+    const TIPS = [4, 8, 12, 16, 20];
+    const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+    const DEFAULTS = Object.freeze({
+        size: 1,              // World units per hand size
+        color: 0x4ecdc4,
+        opacity: 0.8,
+        jointRadius: 0.08,    // In hand sizes; fingertips are a little smaller
+        boneRadius: 0.065,
+        mirror: true,         // false = as the camera sees the hand
+        aspect: 4 / 3         // Width / height of the frames the landmarks come from
+    });
+
+    /**
+     * Create a hand model
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Object} { object, update(landmarks, aspect), dispose() }
+     */
+    function create(options) {
+        const settings = Object.assign({}, DEFAULTS, options);
+
+        const object = new THREE.Group();
+        object.visible = false;
+
+        const material = new THREE.MeshStandardMaterial({
+            color: settings.color,
+            emissive: settings.color,
+            emissiveIntensity: 0.3,
+            transparent: settings.opacity < 1,
+            opacity: settings.opacity,
+            roughness: 0.3,
+            metalness: 0.5,
+            side: THREE.DoubleSide // Mirroring flips the palm's winding
+        });
+
+        // Unit geometry shared by every joint and bone, scaled per frame
+        const jointGeometry = new THREE.SphereGeometry(1, 8, 6);
+        const boneGeometry = new THREE.CylinderGeometry(0.85, 1, 1, 6, 1, true);
+        boneGeometry.translate(0, 0.5, 0); // Base at the origin, growing along +y
+
+        const joints = [];
+        for (let i = 0; i < 21; i++) {
+            const joint = new THREE.Mesh(jointGeometry, material);
+            const radius = settings.jointRadius * settings.size * (TIPS.indexOf(i) !== -1 ? 0.8 : 1);
+            joint.scale.setScalar(radius);
+            object.add(joint);
+            joints.push(joint);
+        }
+
+        const bones = BONES.map(() => {
+            const bone = new THREE.Mesh(boneGeometry, material);
+            object.add(bone);
+            return bone;
+        });
+
+        const palmGeometry = new THREE.BufferGeometry();
+        palmGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PALM.length * 3), 3));
+        palmGeometry.setIndex([0, 1, 2, 0, 2, 3, 0, 3, 4, 0, 4, 5]);
+        const palm = new THREE.Mesh(palmGeometry, material);
+        object.add(palm);
+
+        const points = [];
+        for (let i = 0; i < 21; i++) points.push(new THREE.Vector3());
+        const direction = new THREE.Vector3();
+
+        /**
+         * Pose the model from landmarks; null or a collapsed hand hides it
+         * @param {Array|null} landmarks - 21 MediaPipe landmarks
+         * @param {number} [aspect] - Frame width / height (default settings.aspect)
+         */
+        function update(landmarks, aspect = settings.aspect) {
+            if (!HandMath.hasLandmarks(landmarks)) {
+                object.visible = false;
+                return;
+            }
+
+            // Image coordinates (x and z in frame widths, y in frame heights,
+            // y down, z away from the camera) to frame heights in hand space
+            const wrist = landmarks[0];
+            const xScale = (settings.mirror ? -1 : 1) * aspect;
+            landmarks.forEach((landmark, i) => {
+                points[i].set(
+                    xScale * (landmark.x - wrist.x),
+                    -(landmark.y - wrist.y),
+                    -((landmark.z || 0) - (wrist.z || 0)) * aspect
+                );
+            });
+
+            const handSize = points[9].length();
+            if (handSize < 0.001) {
+                object.visible = false;
+                return;
+            }
+            object.visible = true;
+
+            const scale = settings.size / handSize;
+            points.forEach((point, i) => {
+                point.multiplyScalar(scale);
+                joints[i].position.copy(point);
+            });
+
+            BONES.forEach(([from, to], i) => {
+                const bone = bones[i];
+                direction.subVectors(points[to], points[from]);
+                const length = direction.length();
+                const radius = settings.boneRadius * settings.size;
+                bone.position.copy(points[from]);
+                if (length > 1e-6) {
+                    bone.quaternion.setFromUnitVectors(Y_AXIS, direction.divideScalar(length));
+                }
+                bone.scale.set(radius, length, radius);
+            });
+
+            const palmPositions = palmGeometry.attributes.position;
+            PALM.forEach((index, i) => {
+                palmPositions.setXYZ(i, points[index].x, points[index].y, points[index].z);
+            });
+            palmPositions.needsUpdate = true;
+            palmGeometry.computeVertexNormals();
+            palmGeometry.computeBoundingSphere();
+        }
+
+        function dispose() {
+            if (object.parent) object.parent.remove(object);
+            jointGeometry.dispose();
+            boneGeometry.dispose();
+            palmGeometry.dispose();
+            material.dispose();
+        }
+
+        return {
+            object: object,
+            update: update,
+            dispose: dispose
+        };
+    }
+
+    // Public API
+    return {
+        DEFAULTS: DEFAULTS,
+        create: create
+    };
+})();
+
+window.HandModel = HandModel;
@@ -0,0 +1,294 @@
+/**
+ * Hand Motion
+ * Recognizes dynamic gestures from a hand's recent trajectory: swipes,
+ * circles, waves and push/pull toward the camera.
+ *
+ * Trajectories are measured in hand sizes (wrist to middle knuckle), so
+ * the thresholds hold whether the hand is near the camera or far away.
+ * Directions are as the user sees them in the mirrored preview: 'right'
+ * is the user's right.
+ */
+
+const HandMotion = (function() {
+    // A global in the browser; required under Node
+    const math = typeof HandMath !== 'undefined' ? HandMath : require('./handMath.js');
+
+    const MOTIONS = Object.freeze({
+        SWIPE_LEFT: 'swipeLeft',
+        SWIPE_RIGHT: 'swipeRight',
+        SWIPE_UP: 'swipeUp',
+        SWIPE_DOWN: 'swipeDown',
+        CIRCLE: 'circle',
+        WAVE: 'wave',
+        PUSH: 'push',
+        PULL: 'pull'
+    });
+
+    // Distances in hand sizes, speeds in hand sizes per second, times in ms
+    const SETTINGS = Object.freeze({
+        windowMs: 1500,    // Longest motion kept in the trajectory
+        cooldownMs: 600,   // Quiet time after a motion so one movement fires once
+        swipe: Object.freeze({ maxDuration: 400, minDistance: 1.5, minSpeed: 4, minStraightness: 0.92, axisRatio: 2 }),
+        circle: Object.freeze({ maxDuration: 1500, minTurn: 1.8 * Math.PI, minRadius: 0.4, maxRadiusSpread: 0.5 }),
+        wave: Object.freeze({ maxDuration: 1500, minSwings: 4, minSwing: 0.4, maxVertical: 1 }),
+        push: Object.freeze({ maxDuration: 500, minScale: 1.3, maxLateral: 1 })
+    });
+
+    /**
+     * Trajectory sample from a hand's landmarks
+     * @returns {Object} { time, x, y (viewer's orientation), size }
+     */
+    function createSample(landmarks, time) {
+        const center = math.calculatePalmCenter(landmarks);
+        return { time: time, x: 1 - center.x, y: center.y, size: math.calculateHandSize(landmarks) };
+    }
+
+    /**
+     * Samples from the last `duration` ms of a trajectory
+     */
+    function recent(samples, duration) {
+        const end = samples[samples.length - 1].time;
+        let start = samples.length - 1;
+        while (start > 0 && end - samples[start - 1].time <= duration) start--;
+        return samples.slice(start);
+    }
+
+    function medianSize(samples) {
+        const sizes = samples.map((sample) => sample.size).sort((a, b) => a - b);
+        return sizes[Math.floor(sizes.length / 2)];
+    }
+
+    function seconds(samples) {
+        return (samples[samples.length - 1].time - samples[0].time) / 1000;
+    }
+
+    /**
+     * A fast, straight movement mostly along one axis
+     */
+    function detectSwipe(samples) {
+        const settings = SETTINGS.swipe;
+        const part = recent(samples, settings.maxDuration);
+        if (part.length < 3) return null;
+
+        const size = medianSize(part);
+        const first = part[0];
+        const last = part[part.length - 1];
+        const dx = (last.x - first.x) / size;
+        const dy = (last.y - first.y) / size;
+        const distance = Math.hypot(dx, dy);
+
+        let path = 0;
+        for (let i = 1; i < part.length; i++) {
+            path += Math.hypot(part[i].x - part[i - 1].x, part[i].y - part[i - 1].y) / size;
+        }
+
+        const duration = seconds(part);
+        const speed = duration > 0 ? distance / duration : 0;
+        if (distance < settings.minDistance || speed < settings.minSpeed ||
+            distance / path < settings.minStraightness) {
+            return null;
+        }
+
+        let motion = null;
+        if (Math.abs(dx) >= Math.abs(dy) * settings.axisRatio) {
+            motion = dx > 0 ? MOTIONS.SWIPE_RIGHT : MOTIONS.SWIPE_LEFT;
+        } else if (Math.abs(dy) >= Math.abs(dx) * settings.axisRatio) {
+            motion = dy > 0 ? MOTIONS.SWIPE_DOWN : MOTIONS.SWIPE_UP;
+        }
+        if (!motion) return null;
+
+        return {
+            motion: motion,
+            direction: motion.slice('swipe'.length).toLowerCase(),
+            speed: speed,
+            distance: distance,
+            duration: duration * 1000
+        };
+    }
+
+    /**
+     * The palm turning most of a full circle around the trajectory's center
+     */
+    function detectCircle(samples) {
+        const settings = SETTINGS.circle;
+        const part = recent(samples, settings.maxDuration);
+        if (part.length < 8) return null;
+
+        const size = medianSize(part);
+        let cx = 0;
+        let cy = 0;
+        for (const sample of part) {
+            cx += sample.x;
+            cy += sample.y;
+        }
+        cx /= part.length;
+        cy /= part.length;
+
+        let turn = 0;
+        let previousAngle = null;
+        const radii = [];
+        for (const sample of part) {
+            const angle = Math.atan2(sample.y - cy, sample.x - cx);
+            if (previousAngle !== null) {
+                let delta = angle - previousAngle;
+                if (delta > Math.PI) delta -= 2 * Math.PI;
+                if (delta < -Math.PI) delta += 2 * Math.PI;
+                turn += delta;
+            }
+            previousAngle = angle;
+            radii.push(Math.hypot(sample.x - cx, sample.y - cy) / size);
+        }
+
+        const radius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+        const spread = Math.sqrt(radii.reduce((sum, r) => sum + (r - radius) * (r - radius), 0) / radii.length);
+        if (Math.abs(turn) < settings.minTurn || radius < settings.minRadius ||
+            spread / radius > settings.maxRadiusSpread) {
+            return null;
+        }
+
+        const duration = seconds(part);
+        return {
+            motion: MOTIONS.CIRCLE,
+            // Image y grows downward, so a growing angle turns clockwise on screen
+            direction: turn > 0 ? 'clockwise' : 'counterclockwise',
+            speed: duration > 0 ? Math.abs(turn) * radius / duration : 0,
+            distance: Math.abs(turn) * radius,
+            duration: duration * 1000
+        };
+    }
+
+    /**
+     * Several side-to-side swings with little vertical movement
+     */
+    function detectWave(samples) {
+        const settings = SETTINGS.wave;
+        const part = recent(samples, settings.maxDuration);
+        if (part.length < 8) return null;
+
+        const size = medianSize(part);
+        const ys = part.map((sample) => sample.y / size);
+        if (Math.max(...ys) - Math.min(...ys) > settings.maxVertical) return null;
+
+        // Count swings: runs in one direction at least minSwing long
+        const anchor = part[0].x / size;
+        let extreme = anchor;
+        let direction = 0;
+        let swings = 0;
+        let distance = 0;
+        for (const sample of part) {
+            const x = sample.x / size;
+            if (direction === 0) {
+                if (Math.abs(x - anchor) >= settings.minSwing) {
+                    direction = Math.sign(x - anchor);
+                    distance += Math.abs(x - anchor);
+                    extreme = x;
+                    swings = 1;
+                }
+            } else if ((x - extreme) * direction > 0) {
+                distance += Math.abs(x - extreme);
+                extreme = x;
+            } else if (Math.abs(x - extreme) >= settings.minSwing) {
+                distance += Math.abs(x - extreme);
+                direction = -direction;
+                extreme = x;
+                swings++;
+            }
+        }
+        if (swings < settings.minSwings) return null;
+
+        const duration = seconds(part);
+        return {
+            motion: MOTIONS.WAVE,
+            direction: direction > 0 ? 'right' : 'left',
+            speed: duration > 0 ? distance / duration : 0,
+            distance: distance,
+            duration: duration * 1000,
+            swings: swings
+        };
+    }
+
+    /**
+     * The hand growing (toward the camera) or shrinking while staying in place
+     */
+    function detectPush(samples) {
+        const settings = SETTINGS.push;
+        const part = recent(samples, settings.maxDuration);
+        if (part.length < 3) return null;
+
+        const first = part[0];
+        const last = part[part.length - 1];
+        const scale = last.size / first.size;
+        const lateral = Math.hypot(last.x - first.x, last.y - first.y) / medianSize(part);
+        if (lateral > settings.maxLateral) return null;
+
+        let motion = null;
+        if (scale >= settings.minScale) {
+            motion = MOTIONS.PUSH;
+        } else if (scale <= 1 / settings.minScale) {
+            motion = MOTIONS.PULL;
+        }
+        if (!motion) return null;
+
+        const duration = seconds(part);
+        // Depth change in log scale, so pushing and pulling the same distance match
+        const distance = Math.abs(Math.log(scale));
+        return {
+            motion: motion,
+            direction: motion === MOTIONS.PUSH ? 'forward' : 'back',
+            speed: duration > 0 ? distance / duration : 0,
+            distance: distance,
+            duration: duration * 1000
+        };
+    }
+
+    /**
+     * Sliding-part recognizer for one hand. Feed it a sample per frame;
+     * it returns { motion, direction, speed, distance, duration } when a
+     * motion completes, else null.
+     */
+    function createMotionTracker() {
+        let samples = [];
+        let cooldownUntil = -Infinity;
+
+        return {
+            add(sample) {
+                samples.push(sample);
+                while (samples.length > 1 && sample.time - samples[0].time > SETTINGS.windowMs) {
+                    samples.shift();
+                }
+                if (sample.time < cooldownUntil) return null;
+
+                // Most specific first: a wave's swings or a circle's arcs
+                // shouldn't also count as swipes
+                const motion = detectWave(samples) || detectCircle(samples) ||
+                    detectSwipe(samples) || detectPush(samples);
+                if (motion) {
+                    samples = [sample];
+                    cooldownUntil = sample.time + SETTINGS.cooldownMs;
+                }
+                return motion;
+            },
+            reset() {
+                samples = [];
+            }
+        };
+    }
+
+    // Public API
+    return {
+        MOTIONS: MOTIONS,
+        SETTINGS: SETTINGS,
+        createSample: createSample,
+        createMotionTracker: createMotionTracker,
+        detectSwipe: detectSwipe,
+        detectCircle: detectCircle,
+        detectWave: detectWave,
+        detectPush: detectPush
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandMotion;
+} else {
+    window.HandMotion = HandMotion;
+}
@@ -0,0 +1,205 @@
+/**
+ * Hand Recorder
+ * Captures the raw MediaPipe results that reach HandTracking as timestamped
+ * landmark frames, serializes them to JSON / NDJSON, and plays them back
+ * through the same pipeline in place of the camera.
+ */
+
+const HandRecorder = (function() {
+    const FORMAT_VERSION = 1;
+    const PRECISION = 100000; // 5 decimal places is well below landmark noise
+
+    /**
+     * Create a recorder. Feed it every results object with capture().
+     */
+    function createRecorder() {
+        let session = null;
+        let startTime = 0;
+
+        return {
+            start(metadata) {
+                startTime = performance.now();
+                session = {
+                    version: FORMAT_VERSION,
+                    createdAt: new Date().toISOString(),
+                    metadata: metadata || {},
+                    frames: []
+                };
+            },
+            capture(results, timestamp) {
+                if (!session) return;
+                session.frames.push(encodeFrame(results, timestamp - startTime));
+            },
+            stop() {
+                const finished = session;
+                session = null;
+                return finished;
+            },
+            isRecording() { return session !== null; }
+        };
+    }
+
+    /**
+     * Convert a MediaPipe results object into a compact frame
+     */
+    function encodeFrame(results, t) {
+        const hands = (results.multiHandLandmarks || []).map((landmarks, i) => {
+            const classification = results.multiHandedness && results.multiHandedness[i];
+            return {
+                handedness: classification ? classification.label : 'Right',
+                score: classification ? round(classification.score) : 0,
+                landmarks: landmarks.map((l) => [round(l.x), round(l.y), round(l.z || 0)])
+            };
+        });
+        return { t: Math.round(t), hands: hands };
+    }
+
+    /**
+     * Convert a recorded frame back into a MediaPipe-shaped results object
+     */
+    function decodeFrame(frame) {
+        return {
+            image: null,
+            multiHandLandmarks: frame.hands.map((hand) =>
+                hand.landmarks.map(([x, y, z]) => ({ x, y, z }))
+            ),
+            multiHandedness: frame.hands.map((hand, i) => ({
+                index: i,
+                label: hand.handedness,
+                score: hand.score
+            }))
+        };
+    }
+
+    function round(value) {
+        return Math.round(value * PRECISION) / PRECISION;
+    }
+
+    /**
+     * Serialize a session as a single JSON document
+     */
+    function toJSON(session) {
+        return JSON.stringify(session);
+    }
+
+    /**
+     * Serialize a session as NDJSON: a header line, then one frame per line
+     */
+    function toNDJSON(session) {
+        const { frames, ...header } = session;
+        return [JSON.stringify(header)]
+            .concat(frames.map((frame) => JSON.stringify(frame)))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Parse either serialization back into a session
+     */
+    function parse(text) {
+        const trimmed = text.trim();
+        let session;
+
+        try {
+            session = JSON.parse(trimmed);
+        } catch (error) {
+            // Not a single document - treat as NDJSON
+            const lines = trimmed.split('\n').filter((line) => line.trim());
+            session = Object.assign(JSON.parse(lines[0]), {
+                frames: lines.slice(1).map((line) => JSON.parse(line))
+            });
+        }
+
+        if (!session || !Array.isArray(session.frames)) {
+            throw new Error('Not a hand recording: missing frames');
+        }
+        if (session.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported recording version: ${session.version}`);
+        }
+        return session;
+    }
+
+    /**
+     * Save a session as a file download
+     * @param {string} format - 'ndjson' (default) or 'json'
+     */
+    function download(session, filename, format) {
+        const isJSON = format === 'json';
+        const text = isJSON ? toJSON(session) : toNDJSON(session);
+        const blob = new Blob([text], { type: isJSON ? 'application/json' : 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `hand-session-${Date.now()}.${isJSON ? 'json' : 'ndjson'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Play a session back in real time.
+     * @param {Object} session - Parsed recording
+     * @param {Function} onResults - Receives MediaPipe-shaped results
+     * @param {Object} options - { loop, speed, onEnd }
+     */
+    function createPlayer(session, onResults, options) {
+        const loop = !!(options && options.loop);
+        const speed = (options && options.speed) || 1;
+        const onEnd = options && options.onEnd;
+        const frames = session.frames;
+
+        let timer = null;
+        let index = 0;
+        let startTime = 0;
+
+        function scheduleNext() {
+            if (index >= frames.length) {
+                if (loop && frames.length > 0) {
+                    index = 0;
+                    startTime = performance.now();
+                } else {
+                    timer = null;
+                    if (onEnd) onEnd();
+                    return;
+                }
+            }
+
+            const due = startTime + frames[index].t / speed;
+            timer = setTimeout(() => {
+                onResults(decodeFrame(frames[index]));
+                index++;
+                scheduleNext();
+            }, Math.max(0, due - performance.now()));
+        }
+
+        return {
+            start() {
+                if (timer !== null) return;
+                index = 0;
+                startTime = performance.now();
+                scheduleNext();
+            },
+            stop() {
+                if (timer !== null) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            },
+            isPlaying() { return timer !== null; }
+        };
+    }
+
+    // Public API
+    return {
+        createRecorder: createRecorder,
+        createPlayer: createPlayer,
+        decodeFrame: decodeFrame,
+        toJSON: toJSON,
+        toNDJSON: toNDJSON,
+        parse: parse,
+        download: download
+    };
+})();
+
+window.HandRecorder = HandRecorder;
@@ -0,0 +1,450 @@
+/**
+ * Hand Templates
+ * User-trained gestures: a template is a named set of examples recorded in
+ * the training wizard (see gestureTraining.js), matched live against the
+ * tracked hands.
+ *
+ * Pose examples are landmarks in the hand's own frame: relative to the
+ * wrist, divided by the hand size (wrist to middle knuckle) and expressed
+ * along the palm axes, so where the hand is, how far from the camera and
+ * how it is turned don't matter. Left hands are mirrored onto right ones.
+ * Poses match by nearest neighbour.
+ *
+ * Motion examples are palm trajectories in hand sizes, relative to where
+ * the motion started, matched with dynamic time warping so a motion made
+ * faster or slower than the examples still matches.
+ */
+
+const HandTemplates = (function() {
+    // Globals in the browser; required under Node
+    const math = typeof HandMath !== 'undefined' ? HandMath : require('./handMath.js');
+    const motions = typeof HandMotion !== 'undefined' ? HandMotion : require('./handMotion.js');
+
+    const FORMAT_VERSION = 1;
+    const PRECISION = 10000;
+    const TYPES = Object.freeze({ POSE: 'pose', MOTION: 'motion' });
+    const LANDMARK_COUNT = 21;
+
+    // Distances in hand sizes, times in ms. A template's threshold is the
+    // spread of its examples times spreadFactor, clamped to the range.
+    const SETTINGS = Object.freeze({
+        pose: Object.freeze({ minThreshold: 0.12, maxThreshold: 0.4, defaultThreshold: 0.25, spreadFactor: 1.5 }),
+        motion: Object.freeze({
+            minThreshold: 0.3, maxThreshold: 0.8, defaultThreshold: 0.5, spreadFactor: 1.5,
+            points: 32,          // Trajectories are resampled to this many points
+            stillRadius: 0.2,    // Movement below this at either end is trimmed off
+            minTravel: 1,        // Shortest path an example may have
+            minTravelRatio: 0.5, // Live path must be at least this share of the example's
+            maxWindowMs: 4000
+        }),
+        matchScore: 0.7          // Score of a pose at its template's threshold (see scorePoses)
+    });
+
+    function round(value) {
+        return Math.round(value * PRECISION) / PRECISION;
+    }
+
+    function dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Landmarks in the hand's frame: [right, up, forward] per landmark, in
+     * hand sizes from the wrist. Null for a degenerate hand.
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @param {string} handedness - 'Left' hands are mirrored
+     */
+    function normalizePose(landmarks, handedness) {
+        const basis = math.calculateHandBasis(landmarks);
+        const size = math.calculateHandSize(landmarks);
+        if (!basis || size < 0.001) return null;
+
+        // Mirroring a hand flips the palm normal (right and up follow the landmarks)
+        const mirror = handedness === 'Left' ? -1 : 1;
+        const wrist = landmarks[0];
+        return landmarks.map((landmark) => {
+            // Same axes as HandMath's centered coordinates: y up
+            const offset = [landmark.x - wrist.x, wrist.y - landmark.y, (landmark.z || 0) - (wrist.z || 0)];
+            return [
+                dot(offset, basis.right) / size,
+                dot(offset, basis.up) / size,
+                mirror * dot(offset, basis.forward) / size
+            ];
+        });
+    }
+
+    /**
+     * Mean of several normalized poses (one example from a held pose)
+     */
+    function averagePoses(poses) {
+        if (poses.length === 0) return null;
+        return poses[0].map((point, i) => [0, 1, 2].map((axis) =>
+            poses.reduce((sum, pose) => sum + pose[i][axis], 0) / poses.length
+        ));
+    }
+
+    /**
+     * Root mean square landmark distance between two normalized poses.
+     * RMS rather than mean, so one finger out of place still counts.
+     */
+    function poseDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const dx = a[i][0] - b[i][0];
+            const dy = a[i][1] - b[i][1];
+            const dz = a[i][2] - b[i][2];
+            sum += dx * dx + dy * dy + dz * dz;
+        }
+        return Math.sqrt(sum / a.length);
+    }
+
+    function pathLength(samples) {
+        let length = 0;
+        for (let i = 1; i < samples.length; i++) {
+            length += Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y);
+        }
+        return length;
+    }
+
+    function medianSize(samples) {
+        const sizes = samples.map((sample) => sample.size).sort((a, b) => a - b);
+        return sizes[Math.floor(sizes.length / 2)];
+    }
+
+    /**
+     * Resample a trajectory evenly in time to [dx, dy, depth] points relative
+     * to its start. Depth is the log of the hand's growth, so pushes and
+     * pulls show up too.
+     */
+    function resample(samples, count) {
+        const size = medianSize(samples);
+        const first = samples[0];
+        const start = first.time;
+        const duration = samples[samples.length - 1].time - start;
+        const points = [];
+
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const time = start + (count > 1 ? duration * i / (count - 1) : 0);
+            while (j < samples.length - 2 && samples[j + 1].time < time) j++;
+
+            const a = samples[j];
+            const b = samples[Math.min(j + 1, samples.length - 1)];
+            const t = b.time > a.time ? clamp((time - a.time) / (b.time - a.time), 0, 1) : 0;
+            points.push([
+                (a.x + (b.x - a.x) * t - first.x) / size,
+                (a.y + (b.y - a.y) * t - first.y) / size,
+                Math.log((a.size + (b.size - a.size) * t) / first.size)
+            ]);
+        }
+        return points;
+    }
+
+    /**
+     * Turn a recorded trajectory (HandMotion samples) into a motion example,
+     * trimming the still parts before and after the movement
+     * @returns {Object|null} { duration, travel, points }, or null if the hand barely moved
+     */
+    function createMotionPath(samples) {
+        const settings = SETTINGS.motion;
+        if (samples.length < 3) return null;
+
+        const size = medianSize(samples);
+        const movedFrom = (origin) => (sample) =>
+            Math.hypot(sample.x - origin.x, sample.y - origin.y) / size > settings.stillRadius ||
+            Math.abs(Math.log(sample.size / origin.size)) > settings.stillRadius;
+
+        const firstMoved = samples.findIndex(movedFrom(samples[0]));
+        if (firstMoved === -1) return null;
+        const last = samples[samples.length - 1];
+        let lastMoved = samples.length - 1;
+        while (lastMoved > 0 && !movedFrom(last)(samples[lastMoved])) lastMoved--;
+
+        const trimmed = samples.slice(Math.max(0, firstMoved - 1), Math.min(samples.length, lastMoved + 2));
+        const travel = pathLength(trimmed) / size;
+        if (trimmed.length < 3 || travel < settings.minTravel) return null;
+
+        return {
+            duration: trimmed[trimmed.length - 1].time - trimmed[0].time,
+            travel: travel,
+            points: resample(trimmed, settings.points)
+        };
+    }
+
+    /**
+     * Dynamic time warping distance between two point sequences, as the
+     * mean point distance along the best alignment
+     */
+    function dtwDistance(a, b) {
+        const n = a.length;
+        const m = b.length;
+        let previous = new Array(m + 1).fill(Infinity);
+        let current = new Array(m + 1).fill(Infinity);
+        previous[0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            current[0] = Infinity;
+            for (let j = 1; j <= m; j++) {
+                const cost = Math.hypot(a[i - 1][0] - b[j - 1][0], a[i - 1][1] - b[j - 1][1], a[i - 1][2] - b[j - 1][2]);
+                current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+            [previous, current] = [current, previous];
+        }
+        return previous[m] / Math.max(n, m);
+    }
+
+    /**
+     * Built-in gesture and motion names, which templates can't reuse
+     */
+    function isBuiltInName(name) {
+        return Object.values(math.GESTURES).indexOf(name) !== -1 ||
+            Object.values(motions.MOTIONS).indexOf(name) !== -1;
+    }
+
+    function validateName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Gesture name is required');
+        }
+        if (isBuiltInName(name)) {
+            throw new Error(`"${name}" is a built-in gesture name`);
+        }
+    }
+
+    /**
+     * Matching threshold from how far each example is from its nearest
+     * sibling: consistent examples give a tight template
+     */
+    function calculateThreshold(type, examples) {
+        const settings = SETTINGS[type];
+        if (examples.length < 2) return settings.defaultThreshold;
+
+        const distance = type === TYPES.POSE
+            ? poseDistance
+            : (a, b) => dtwDistance(a.points, b.points);
+
+        let spread = 0;
+        examples.forEach((example, i) => {
+            let nearest = Infinity;
+            examples.forEach((other, j) => {
+                if (i !== j) nearest = Math.min(nearest, distance(example, other));
+            });
+            spread = Math.max(spread, nearest);
+        });
+        return clamp(spread * settings.spreadFactor, settings.minThreshold, settings.maxThreshold);
+    }
+
+    /**
+     * Create a template from recorded examples
+     * @param {string} name - Gesture name reported in events
+     * @param {string} type - TYPES.POSE or TYPES.MOTION
+     * @param {Array} examples - normalizePose() results or createMotionPath() results
+     */
+    function createTemplate(name, type, examples) {
+        validateName(name);
+        if (type !== TYPES.POSE && type !== TYPES.MOTION) {
+            throw new Error(`Unknown gesture type: ${type}`);
+        }
+        if (!Array.isArray(examples) || examples.length === 0) {
+            throw new Error('A gesture needs at least one example');
+        }
+
+        return {
+            name: name.trim(),
+            type: type,
+            createdAt: new Date().toISOString(),
+            threshold: calculateThreshold(type, examples),
+            examples: examples
+        };
+    }
+
+    function isPoint(point) {
+        return Array.isArray(point) && point.length === 3 && point.every((value) => typeof value === 'number' && isFinite(value));
+    }
+
+    /**
+     * Check an imported template's shape
+     */
+    function validateTemplate(template) {
+        if (!template || typeof template !== 'object') {
+            throw new Error('Not a gesture template');
+        }
+        validateName(template.name);
+
+        const examples = Array.isArray(template.examples) ? template.examples : [];
+        const valid = template.type === TYPES.POSE
+            ? examples.every((pose) => Array.isArray(pose) && pose.length === LANDMARK_COUNT && pose.every(isPoint))
+            : template.type === TYPES.MOTION && examples.every((path) =>
+                path && path.duration > 0 && path.travel > 0 && Array.isArray(path.points) &&
+                path.points.length > 1 && path.points.every(isPoint));
+        if (examples.length === 0 || !valid || !(template.threshold > 0)) {
+            throw new Error(`Invalid gesture template: ${template.name}`);
+        }
+    }
+
+    /**
+     * Templates as JSON for export, rounded to keep files small
+     */
+    function serialize(templates) {
+        const roundPoints = (points) => points.map((point) => point.map(round));
+        return JSON.stringify({
+            version: FORMAT_VERSION,
+            templates: templates.map((template) => Object.assign({}, template, {
+                threshold: round(template.threshold),
+                examples: template.examples.map((example) => template.type === TYPES.POSE
+                    ? roundPoints(example)
+                    : Object.assign({}, example, { points: roundPoints(example.points) }))
+            }))
+        });
+    }
+
+    /**
+     * Read exported templates
+     * @param {string} text - serialize() output
+     * @returns {Array} Templates
+     */
+    function parse(text) {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.templates)) {
+            throw new Error('Not a gesture template file: missing templates');
+        }
+        if (data.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported gesture template version: ${data.version}`);
+        }
+        data.templates.forEach(validateTemplate);
+        return data.templates;
+    }
+
+    /**
+     * Live recognizer for a set of templates
+     * @returns {Object} { has(name), scorePoses(landmarks, handedness), createMotionTracker() }
+     */
+    function createMatcher(templates) {
+        templates.forEach(validateTemplate);
+
+        const poses = templates.filter((template) => template.type === TYPES.POSE);
+        const motionTemplates = templates.filter((template) => template.type === TYPES.MOTION);
+        const names = new Set(templates.map((template) => template.name));
+        // Keep a little more than the longest example
+        const windowMs = Math.min(SETTINGS.motion.maxWindowMs, 1.25 * Math.max(0, ...motionTemplates.map((template) =>
+            Math.max(...template.examples.map((example) => example.duration))
+        )));
+
+        /**
+         * Per-pose scores in the 0-1 range of HandMath.classifyGestures:
+         * 1 for an exact match, SETTINGS.matchScore at the threshold
+         */
+        function scorePoses(landmarks, handedness) {
+            const scores = {};
+            if (poses.length === 0) return scores;
+
+            const pose = normalizePose(landmarks, handedness);
+            for (const template of poses) {
+                if (!pose) {
+                    scores[template.name] = 0;
+                    continue;
+                }
+                const nearest = Math.min(...template.examples.map((example) => poseDistance(pose, example)));
+                scores[template.name] = Math.max(0, 1 - (1 - SETTINGS.matchScore) * nearest / template.threshold);
+            }
+            return scores;
+        }
+
+        /**
+         * Best matching motion template for the trajectory so far
+         */
+        function matchMotion(samples) {
+            const settings = SETTINGS.motion;
+            const end = samples[samples.length - 1].time;
+            let best = null;
+
+            for (const template of motionTemplates) {
+                for (const example of template.examples) {
+                    // Need the whole example's duration of trajectory
+                    if (end - samples[0].time < example.duration) continue;
+
+                    let start = samples.length - 1;
+                    while (start > 0 && end - samples[start].time < example.duration) start--;
+                    const part = samples.slice(start);
+                    const travel = pathLength(part) / medianSize(part);
+                    if (travel < example.travel * settings.minTravelRatio) continue;
+
+                    const ratio = dtwDistance(resample(part, settings.points), example.points) / template.threshold;
+                    if (ratio <= 1 && (!best || ratio < best.ratio)) {
+                        best = { template, ratio, travel, duration: end - part[0].time };
+                    }
+                }
+            }
+            return best;
+        }
+
+        /**
+         * Like HandMotion.createMotionTracker, for the motion templates
+         */
+        function createMotionTracker() {
+            let samples = [];
+            let cooldownUntil = -Infinity;
+
+            return {
+                add(sample) {
+                    if (motionTemplates.length === 0) return null;
+
+                    samples.push(sample);
+                    while (samples.length > 1 && sample.time - samples[0].time > windowMs) {
+                        samples.shift();
+                    }
+                    if (sample.time < cooldownUntil || samples.length < 3) return null;
+
+                    const match = matchMotion(samples);
+                    if (!match) return null;
+
+                    samples = [sample];
+                    cooldownUntil = sample.time + motions.SETTINGS.cooldownMs;
+                    return {
+                        motion: match.template.name,
+                        direction: null,
+                        speed: match.duration > 0 ? match.travel / (match.duration / 1000) : 0,
+                        distance: match.travel,
+                        duration: match.duration,
+                        confidence: 1 - (1 - SETTINGS.matchScore) * match.ratio
+                    };
+                },
+                reset() {
+                    samples = [];
+                }
+            };
+        }
+
+        return {
+            has(name) { return names.has(name); },
+            scorePoses: scorePoses,
+            createMotionTracker: createMotionTracker
+        };
+    }
+
+    // Public API
+    return {
+        TYPES: TYPES,
+        SETTINGS: SETTINGS,
+        normalizePose: normalizePose,
+        averagePoses: averagePoses,
+        poseDistance: poseDistance,
+        createMotionPath: createMotionPath,
+        dtwDistance: dtwDistance,
+        isBuiltInName: isBuiltInName,
+        createTemplate: createTemplate,
+        validateTemplate: validateTemplate,
+        serialize: serialize,
+        parse: parse,
+        createMatcher: createMatcher
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandTemplates;
+} else {
+    window.HandTemplates = HandTemplates;
+}
@@ -7,26 +7,95 @@
 // Detect mobile for performance adjustments
 const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 
-// Hand tracking state
-let _handOpenness = 0;
-let _targetHandOpenness = 0;
-let _smoothedOpenness = 0;
-let _isHandDetected = false;
-let _handedness = 'Right'; // 'Left' or 'Right' (from camera's perspective)
+// Primary hand view (mirrors the first hand that is still being tracked)
 let _handRotation = null;
-let _targetHandRotation = null;
-let _smoothedHandRotation = null;
-let _landmarks = null;
 
-// Configuration
-const SMOOTHING = 0.12;
+// Per-hand state, one entry per tracked hand (see createHandState)
+let _trackedHands = [];
+let _primaryHand = null;
+let _nextHandId = 1;
+
+// Options changeable at runtime (see configure())
+const DEFAULT_CONFIG = Object.freeze({
+    maxNumHands: 2,
+    modelComplexity: isMobile ? 0 : 1,
+    minDetectionConfidence: 0.7,
+    minTrackingConfidence: 0.5,
+    opennessRange: null,   // { minRatio, maxRatio }; null = calibration profile's, else the default
+    interactionBox: null,  // { minX, maxX, minY, maxY, minSize, maxSize }; null = calibration profile's, else the default
+    previewWidth: 160,
+    previewHeight: 120
+});
+const MODEL_OPTIONS = ['maxNumHands', 'modelComplexity', 'minDetectionConfidence', 'minTrackingConfidence'];
+let _config = Object.assign({}, DEFAULT_CONFIG);
+
+// Tracking
+const TRACK_MATCH_DISTANCE = 0.25;   // Max palm travel between frames (normalized image units)
+const TRACK_LABEL_SWITCH_FRAMES = 5; // Frames a new handedness label must persist before adopting it
+const TRACK_RETENTION_MS = 500;      // Keep lost hands around briefly so they can be re-identified
+const MAX_LOST_GRACE_MS = 1000;      // Longest allowed prediction window
+
+// Missed detections shorter than this are bridged by extrapolating the
+// last landmarks; handlost only fires once it runs out
+let _lostGraceMs = 150;
+
+// Gesture recognition
+const GESTURE_ENTER_CONFIDENCE = 0.7; // Score needed to start a gesture
+const GESTURE_EXIT_CONFIDENCE = 0.45; // Score below which an active gesture ends
+const GESTURE_MIN_FRAMES = 3;         // Frames a candidate must win before it starts
+
+// User-trained poses and motions (see handTemplates.js); null = none
+let _customGestures = null;
+let _customTemplates = [];
+
+// Two-hand scale / twist / pan (see twoHandTransform.js)
+let _twoHandTracker = TwoHandTransform.createTracker();
+let _twoHandTransform = null;
+
+// Per-user calibration profile (see calibration.js); null = defaults
+let _calibration = null;
+let _opennessRange = HandMath.DEFAULT_OPENNESS_RANGE;
+let _interactionBox = InteractionBox.DEFAULT_BOX;
+
+// Rotation shaping: neutral pose of each hand ({ Left, Right }; null =
+// calibration's, else camera-facing) and per-axis dead zones / response curves
+let _neutralRotations = null;
+let _rotationResponse = HandMath.mergeRotationResponse(HandMath.DEFAULT_ROTATION_RESPONSE);
+
+// Smoothing filter settings per channel (landmarks, openness, rotation)
+let _filterSettings = HandFilters.mergeSettings(HandFilters.DEFAULTS);
 
 // Preview settings
 let _showCameraFeed = false; // Default to showing only hand rig
 
-// Callbacks for demos
-let _onHandUpdate = null;
-let _onHandLost = null;
+// Event listeners: { [event]: [{ callback, once, scope }] } (see on())
+const EVENTS = ['handupdate', 'handfound', 'handlost', 'gesture', 'motion', 'twohand', 'error', 'recovered', 'frame'];
+let _listeners = {};
+let _listenerScope = null;
+let _pendingEvents = [];
+let _unsubscribeHandUpdate = null;
+let _unsubscribeHandLost = null;
+
+// Input source (camera, replay, mouse or synthetic - see inputSources.js)
+let _source = null;
+let _useWorker = false; // Run camera inference in a Web Worker
+let _cameraSource = null; // Reused so switching cameras doesn't reload the model
+let _cameraSettings = Object.assign({}, HandInputSources.DEFAULT_CAMERA);
+
+// Reconnecting a camera that went away mid-session
+const CAMERA_RECOVERY_INTERVAL_MS = 2000;
+let _recoveryTimer = null;
+let _recovering = false;
+let _sourceBeforeReplay = null;
+let _replayDone = null;
+
+// Tracking performance for the diagnostics HUD (see getDiagnostics)
+const STATS_SMOOTHING = 0.1;   // Weight of the newest sample in the running averages
+const STATS_STALE_MS = 1000;   // A rate without a sample for this long reads 0
+let _stats = createStats();
+
+// Session recording
+let _recorder = HandRecorder.createRecorder();
 
 // DOM elements
 let _webcamVideo = null;
@@ -37,8 +106,6 @@ let _previewCtx = null;
 function initQuaternions() {
     if (typeof THREE !== 'undefined') {
         _handRotation = new THREE.Quaternion();
-        _targetHandRotation = new THREE.Quaternion();
-        _smoothedHandRotation = new THREE.Quaternion();
     }
 }
 
@@ -46,127 +113,583 @@ function initQuaternions() {
  * Initialize the hand tracking system
  * @param {HTMLVideoElement} videoElement - Video element for webcam
  * @param {HTMLCanvasElement} previewCanvasElement - Canvas for preview
+ * @param {Object} [options] - { source: 'camera' | 'mouse' | 'none' | source object,
+ *   worker: true to run camera inference off the main thread,
+ *   assetBase: local copy of MediaPipe's files, e.g. 'vendor/' (see assets.js),
+ *   config: options for configure() }
  * @returns {Promise} Resolves when hand tracking is ready
  */
-async function initHandTracking(videoElement, previewCanvasElement) {
+async function initHandTracking(videoElement, previewCanvasElement, options = {}) {
     _webcamVideo = videoElement;
     _previewCanvas = previewCanvasElement;
     _previewCtx = _previewCanvas.getContext('2d');
     
     initQuaternions();
     
-    // Request camera permission
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                facingMode: 'user',
-                width: { ideal: 640 },
-                height: { ideal: 480 }
+    if (options.config) {
+        configure(options.config);
+    }
+    applyPreviewSize();
+    
+    _useWorker = !!options.worker && HandInputSources.supportsWorkerInference();
+    if (options.assetBase !== undefined) {
+        HandAssets.setBase(options.assetBase);
+    }
+    
+    await setInputSource(options.source || 'camera');
+}
+
+/**
+ * Create a built-in input source by name
+ */
+function createInputSource(name) {
+    switch (name) {
+        case 'camera': {
+            if (!_cameraSource) {
+                const create = _useWorker
+                    ? HandInputSources.createWorkerCameraSource
+                    : HandInputSources.createCameraSource;
+                _cameraSource = create(_webcamVideo, Object.assign(getModelOptions(), {
+                    handsUrl: HandAssets.url('hands'),
+                    tasksVisionUrl: HandAssets.url('tasksVision'),
+                    modelUrl: HandAssets.url('handModel'),
+                    camera: _cameraSettings,
+                    onEnded: onCameraEnded,
+                    onError: onCameraError
+                }));
             }
-        });
-        
-        _webcamVideo.srcObject = stream;
-        await _webcamVideo.play();
-        
-        // Setup preview canvas (4:3 to match MediaPipe processing)
-        _previewCanvas.width = 160;
-        _previewCanvas.height = 120;
-        
-    } catch (error) {
-        console.error('Camera access denied:', error);
-        throw error;
+            return _cameraSource;
+        }
+        case 'mouse':
+            return HandInputSources.createMouseSource();
+        case 'synthetic':
+            return HandInputSources.createSyntheticSource();
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown input source: ${name}`);
     }
+}
+
+/**
+ * Switch where hand results come from. The current source is stopped and
+ * tracked hands are cleared; everything downstream (openness, rotation,
+ * gestures, callbacks, preview) works the same for every source.
+ * @param {string|Object} source - 'camera', 'mouse', 'synthetic', 'none',
+ *   or an object implementing { name, start(onResults), stop() }
+ * @returns {Promise<Object|null>} The started source
+ */
+async function setInputSource(source) {
+    if (typeof source === 'string') {
+        source = createInputSource(source);
+    }
+    
+    if (_replayDone) {
+        finishReplay();
+    }
+    stopCameraRecovery();
+    if (_source) {
+        _source.stop();
+    }
+    _stats = createStats();
+    clearTrackedHands();
     
-    // Initialize MediaPipe Hands
-    const hands = new Hands({
-        locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+    _source = source;
+    if (_source) {
+        try {
+            await _source.start(onHandResults);
+        } catch (error) {
+            emit('error', error);
+            throw error;
         }
-    });
+    }
+    return _source;
+}
+
+function getInputSource() { return _source; }
+
+/**
+ * The camera source failed while running (the worker died and main-thread
+ * inference couldn't take over)
+ */
+function onCameraError(error) {
+    if (_source !== _cameraSource) return;
+    clearTrackedHands();
+    emit('error', error);
+}
+
+/**
+ * The camera stopped delivering (unplugged or taken by another app):
+ * report it, then keep trying to restart it until it comes back
+ */
+function onCameraEnded() {
+    if (_source !== _cameraSource || _recoveryTimer) return;
     
-    hands.setOptions({
-        maxNumHands: 1,
-        modelComplexity: isMobile ? 0 : 1,
-        minDetectionConfidence: 0.7,
-        minTrackingConfidence: 0.5
-    });
+    _cameraSource.stop();
+    clearTrackedHands();
+    emit('error', HandErrors.create(HandErrors.CODES.CAMERA_DISCONNECTED, 'The camera was disconnected'));
     
-    hands.onResults(onHandResults);
+    _recoveryTimer = setInterval(recoverCamera, CAMERA_RECOVERY_INTERVAL_MS);
+    if (navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', recoverCamera);
+    }
+}
+
+async function recoverCamera() {
+    if (_recovering || !_recoveryTimer) return;
     
-    // Start camera processing
-    const camera = new Camera(_webcamVideo, {
-        onFrame: async () => {
-            await hands.send({ image: _webcamVideo });
-        },
-        width: 640,
-        height: 480
-    });
+    _recovering = true;
+    try {
+        await _cameraSource.start(onHandResults);
+        // Switching sources (or Retry) meanwhile ended recovery and stopped
+        // or restarted the camera, which makes this start back out
+        if (!_recoveryTimer) return;
+        stopCameraRecovery();
+        emit('recovered', { source: _cameraSource });
+    } catch (error) {
+        if (_recoveryTimer) _cameraSource.stop();
+    } finally {
+        _recovering = false;
+    }
+}
+
+function stopCameraRecovery() {
+    if (!_recoveryTimer) return;
+    clearInterval(_recoveryTimer);
+    _recoveryTimer = null;
+    if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+        navigator.mediaDevices.removeEventListener('devicechange', recoverCamera);
+    }
+}
+
+function isRecovering() { return _recoveryTimer !== null; }
+
+/**
+ * Choose the camera and how to read it. Takes effect immediately if the
+ * camera is running, otherwise the next time it starts.
+ * @param {Object} settings - Any of { deviceId (null = default front camera),
+ *   width, height, frameRate, mirrored (the feed is already flipped) }
+ * @returns {Promise}
+ */
+async function setCameraSettings(settings) {
+    const merged = Object.assign({}, _cameraSettings, settings);
     
-    await camera.start();
+    for (const key of ['width', 'height', 'frameRate']) {
+        if (typeof merged[key] !== 'number' || !(merged[key] > 0)) {
+            throw new Error(`Invalid camera ${key}: ${merged[key]}`);
+        }
+    }
+    if (merged.deviceId !== null && typeof merged.deviceId !== 'string') {
+        throw new Error(`Invalid camera deviceId: ${merged.deviceId}`);
+    }
+    merged.mirrored = !!merged.mirrored;
+    
+    _cameraSettings = merged;
+    if (_cameraSource) {
+        _cameraSource.setCameraSettings(_cameraSettings);
+        if (_source === _cameraSource) {
+            await setInputSource(_cameraSource);
+        }
+    }
+}
+
+function getCameraSettings() { return Object.assign({}, _cameraSettings); }
+
+/**
+ * What the running camera actually delivers, or null if it isn't running
+ */
+function getCameraTrackSettings() {
+    return _source === _cameraSource && _cameraSource ? _cameraSource.getTrackSettings() : null;
+}
+
+/**
+ * Width / height of the frames landmarks are normalized to: the camera
+ * video's, or the requested camera size for other sources
+ */
+function getFrameAspect() {
+    const video = _source === _cameraSource ? _webcamVideo : null;
+    if (video && video.videoWidth && video.videoHeight) {
+        return video.videoWidth / video.videoHeight;
+    }
+    return _cameraSettings.width / _cameraSettings.height;
+}
+
+/**
+ * List video inputs as { deviceId, label } (labels need camera permission)
+ */
+function getCameras() {
+    return HandInputSources.listCameras();
+}
+
+/**
+ * Forget all tracked hands, ending their gestures
+ */
+function clearTrackedHands() {
+    const now = performance.now();
+    for (const hand of _trackedHands) {
+        if (hand.gesture) endGesture(hand, now);
+    }
+    _trackedHands = [];
+    _primaryHand = null;
+    updateTwoHandTransform(now);
+    flushEvents();
 }
 
 /**
  * Process hand detection results
  */
 function onHandResults(results) {
+    const now = results.timestamp !== undefined ? results.timestamp : performance.now();
+    _recorder.capture(results, now);
+    recordResultsTiming(results);
+    
     // Draw preview
     _previewCtx.save();
     _previewCtx.clearRect(0, 0, _previewCanvas.width, _previewCanvas.height);
     
-    // Only draw camera feed if enabled
-    if (_showCameraFeed) {
+    // Only draw camera feed if enabled (replayed frames have no image)
+    if (_showCameraFeed && results.image) {
+        // Flip a mirrored feed so it lines up with the corrected landmarks
+        if (results.imageMirrored) {
+            _previewCtx.translate(_previewCanvas.width, 0);
+            _previewCtx.scale(-1, 1);
+        }
         _previewCtx.drawImage(results.image, 0, 0, _previewCanvas.width, _previewCanvas.height);
+        _previewCtx.setTransform(1, 0, 0, 1, 0, 0);
     } else {
         // Dark background for hand rig only mode
         _previewCtx.fillStyle = 'rgba(13, 5, 24, 0.95)';
         _previewCtx.fillRect(0, 0, _previewCanvas.width, _previewCanvas.height);
     }
     
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        _isHandDetected = true;
-        _landmarks = results.multiHandLandmarks[0];
-        
-        // Get handedness (Left/Right from camera's perspective)
-        if (results.multiHandedness && results.multiHandedness.length > 0) {
-            _handedness = results.multiHandedness[0].label; // 'Left' or 'Right'
-        }
-        
+    const detections = [];
+    if (results.multiHandLandmarks) {
+        results.multiHandLandmarks.forEach((landmarks, i) => {
+            // Handedness is 'Left' or 'Right' from the camera's perspective
+            const classification = results.multiHandedness && results.multiHandedness[i];
+            detections.push({
+                landmarks: landmarks,
+                handedness: classification ? classification.label : 'Right',
+                score: classification ? classification.score : 0,
+                center: HandMath.calculatePalmCenter(landmarks)
+            });
+        });
+    }
+    
+    updateTrackedHands(detections, now);
+    flushEvents();
+    
+    if (isHandDetected()) {
         // Draw hand landmarks on preview
-        drawHandLandmarks(_landmarks);
-        
-        // Calculate hand openness
-        _targetHandOpenness = calculateHandOpenness(_landmarks);
-        
-        // Calculate hand rotation (pitch, roll, yaw)
-        _targetHandRotation = calculateHandRotation(_landmarks);
+        for (const hand of _trackedHands) {
+            if (hand.isDetected) {
+                drawHandLandmarks(hand.landmarks, hand === _primaryHand, hand.isPredicted);
+            }
+        }
         
-        // Notify callback
-        if (_onHandUpdate) {
-            _onHandUpdate({
-                openness: _handOpenness,
-                rotation: _handRotation,
-                landmarks: _landmarks
-            });
+        emit('handupdate', {
+            openness: getHandOpenness(),
+            rotation: _handRotation,
+            landmarks: getLandmarks(),
+            handedness: getHandedness(),
+            predicted: _primaryHand.isPredicted,
+            hands: getHands()
+        });
+    }
+    
+    _previewCtx.restore();
+    
+    emit('frame', { timestamp: now, hands: getHands(), results: results });
+}
+
+/**
+ * Create the state record for a newly tracked hand
+ */
+function createHandState(detection, now) {
+    return {
+        id: _nextHandId++,
+        handedness: detection.handedness,
+        pendingHandedness: null,
+        pendingFrames: 0,
+        score: detection.score,
+        landmarks: detection.landmarks,
+        rawLandmarks: detection.landmarks,
+        center: detection.center,
+        isDetected: true,
+        isPredicted: false,
+        firstSeen: now,
+        lastSeen: now,
+        openness: 0,
+        targetOpenness: 0,
+        rotation: typeof THREE !== 'undefined' ? new THREE.Quaternion() : null,
+        absoluteRotation: typeof THREE !== 'undefined' ? new THREE.Quaternion() : null,
+        targetRotation: null,
+        filters: createHandFilters(),
+        metrics: null,
+        gesture: null,
+        gestureConfidence: 0,
+        gestureScores: null,
+        gestureCandidate: null,
+        gestureCandidateFrames: 0,
+        motionTracker: HandMotion.createMotionTracker(),
+        customMotionTracker: _customGestures ? _customGestures.createMotionTracker() : null
+    };
+}
+
+/**
+ * Create one set of smoothing filters for a tracked hand
+ */
+function createHandFilters() {
+    return {
+        landmarks: HandFilters.createLandmarkFilter(_filterSettings.landmarks),
+        openness: HandFilters.create(_filterSettings.openness),
+        rotation: HandFilters.createQuaternionFilter(_filterSettings.rotation)
+    };
+}
+
+/**
+ * Match this frame's detections to the hands tracked so far.
+ * Identity follows palm position continuity first and the handedness
+ * label second, so a hand keeps its id (and smoothed state) even when
+ * MediaPipe briefly flips its Left/Right classification.
+ */
+function updateTrackedHands(detections, now) {
+    // Score every (hand, detection) pair, cheapest first
+    const pairs = [];
+    _trackedHands.forEach((hand) => {
+        detections.forEach((detection) => {
+            const distance = Math.hypot(
+                detection.center.x - hand.center.x,
+                detection.center.y - hand.center.y
+            );
+            if (distance > TRACK_MATCH_DISTANCE) return;
+            const labelPenalty = detection.handedness === hand.handedness ? 0 : TRACK_MATCH_DISTANCE;
+            pairs.push({ hand, detection, cost: distance + labelPenalty });
+        });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+    
+    const matchedHands = new Set();
+    const matchedDetections = new Set();
+    for (const { hand, detection } of pairs) {
+        if (matchedHands.has(hand) || matchedDetections.has(detection)) continue;
+        matchedHands.add(hand);
+        matchedDetections.add(detection);
+        if (!hand.isDetected) {
+            _pendingEvents.push({ event: 'handfound', hand: hand });
+        }
+        applyDetection(hand, detection, now);
+    }
+    
+    // Unmatched detections are new hands
+    for (const detection of detections) {
+        if (matchedDetections.has(detection)) continue;
+        const hand = createHandState(detection, now);
+        applyDetection(hand, detection, now);
+        _trackedHands.push(hand);
+        _pendingEvents.push({ event: 'handfound', hand: hand });
+    }
+    
+    // Unmatched hands are predicted through short dropouts, then lost
+    for (const hand of _trackedHands) {
+        if (matchedHands.has(hand) || hand.lastSeen === now || !hand.isDetected) continue;
+        if (now - hand.lastSeen <= _lostGraceMs) {
+            predictHand(hand, now);
+        } else {
+            loseHand(hand, now);
+        }
+    }
+    
+    // Forget hands that have been gone for a while and finished fading out
+    _trackedHands = _trackedHands.filter((hand) =>
+        hand.isDetected ||
+        now - hand.lastSeen < TRACK_RETENTION_MS ||
+        hand.openness > 0.01
+    );
+    
+    selectPrimaryHand();
+    updateTwoHandTransform(now);
+}
+
+/**
+ * Extrapolate a briefly missing hand from its landmark velocities. Openness,
+ * rotation and gesture hold their last values.
+ */
+function predictHand(hand, now) {
+    const predicted = hand.filters.landmarks.predict(now);
+    if (predicted) {
+        hand.landmarks = predicted;
+        hand.center = HandMath.calculatePalmCenter(predicted);
+    }
+    hand.isPredicted = true;
+}
+
+/**
+ * Mark a hand as gone once its grace period has run out
+ */
+function loseHand(hand, now) {
+    hand.isDetected = false;
+    hand.isPredicted = false;
+    hand.landmarks = null;
+    hand.rawLandmarks = null;
+    hand.targetOpenness = 0;
+    hand.filters.landmarks.reset();
+    hand.filters.rotation.reset();
+    hand.metrics = null;
+    hand.gestureScores = null;
+    hand.gestureCandidate = null;
+    hand.gestureCandidateFrames = 0;
+    hand.motionTracker.reset();
+    if (hand.customMotionTracker) hand.customMotionTracker.reset();
+    if (hand.gesture) {
+        endGesture(hand, now);
+    }
+    _pendingEvents.push({ event: 'handlost', hand: hand });
+}
+
+/**
+ * Copy a detection into a tracked hand and recompute its targets
+ */
+function applyDetection(hand, detection, now) {
+    // A lost hand's openness fades on the display clock, which results
+    // timestamps (replays, synthetic sources) needn't follow, so a found
+    // hand starts its openness over like a new one
+    if (!hand.isDetected) {
+        hand.filters.openness.reset();
+    }
+    hand.isDetected = true;
+    hand.isPredicted = false;
+    hand.lastSeen = now;
+    hand.rawLandmarks = detection.landmarks;
+    hand.landmarks = hand.filters.landmarks.filter(detection.landmarks, now);
+    hand.center = detection.center;
+    hand.score = detection.score;
+    
+    // Only adopt a different handedness label once it has been stable for a few frames
+    if (detection.handedness === hand.handedness) {
+        hand.pendingHandedness = null;
+        hand.pendingFrames = 0;
+    } else if (detection.handedness === hand.pendingHandedness) {
+        hand.pendingFrames++;
+        if (hand.pendingFrames >= TRACK_LABEL_SWITCH_FRAMES) {
+            hand.handedness = detection.handedness;
+            hand.pendingHandedness = null;
+            hand.pendingFrames = 0;
         }
     } else {
-        _isHandDetected = false;
-        _landmarks = null;
-        _targetHandOpenness = 0;
-        
-        if (_onHandLost) {
-            _onHandLost();
+        hand.pendingHandedness = detection.handedness;
+        hand.pendingFrames = 1;
+    }
+    
+    // Calculate hand openness
+    hand.targetOpenness = HandMath.calculateHandOpenness(detection.landmarks, _opennessRange);
+    hand.openness = hand.filters.openness.filter(hand.targetOpenness, now);
+    
+    // Calculate hand rotation (pitch, roll, yaw), then shape it relative to the neutral pose
+    hand.targetRotation = calculateHandRotation(detection.landmarks);
+    if (hand.targetRotation && hand.rotation) {
+        hand.filters.rotation.filter(hand.targetRotation, now, hand.absoluteRotation);
+        const shaped = HandMath.shapeRotation(hand.absoluteRotation, getNeutralRotation(hand.handedness), _rotationResponse);
+        hand.rotation.set(shaped.x, shaped.y, shaped.z, shaped.w);
+    }
+    
+    // Per-finger metrics (from the smoothed landmarks)
+    hand.metrics = HandMath.calculateFingerMetrics(hand.landmarks);
+    
+    // Classify static pose; trained poses compete with the built-in ones
+    const scores = HandMath.classifyGestures(hand.landmarks, hand.metrics);
+    if (_customGestures) {
+        Object.assign(scores, _customGestures.scorePoses(hand.landmarks, hand.handedness));
+    }
+    updateHandGesture(hand, scores, now);
+    
+    // Dynamic gestures follow the raw palm, which smoothing would slow down.
+    // A trained motion wins over a built-in one completing on the same frame.
+    const sample = HandMotion.createSample(detection.landmarks, now);
+    const customMotion = hand.customMotionTracker ? hand.customMotionTracker.add(sample) : null;
+    const builtInMotion = hand.motionTracker.add(sample);
+    const motion = customMotion || builtInMotion;
+    if (motion) {
+        _pendingEvents.push({ event: 'motion', data: createMotionEvent(hand, motion) });
+    }
+}
+
+/**
+ * Follow the two longest-tracked hands holding an engaging gesture
+ * (TwoHandTransform.SETTINGS.gestures) and queue twohand events
+ */
+function updateTwoHandTransform(now) {
+    const engaged = _trackedHands
+        .filter((hand) => hand.isDetected && TwoHandTransform.SETTINGS.gestures.indexOf(hand.gesture) !== -1)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, 2);
+    
+    // Smoothed palm centers, so the transform doesn't jitter
+    const pair = engaged.length === 2 ? {
+        ids: engaged.map((hand) => hand.id),
+        centers: engaged.map((hand) => HandMath.calculatePalmCenter(hand.landmarks))
+    } : null;
+    
+    const event = _twoHandTracker.update(pair, now);
+    if (event) {
+        _twoHandTransform = event.phase === 'end' ? null : event;
+        _pendingEvents.push({ event: 'twohand', data: event });
+    }
+}
+
+/**
+ * Keep the current primary hand while it is visible, otherwise promote
+ * the longest-tracked visible hand. A lost primary hand stays primary
+ * (fading out) until another hand appears.
+ */
+function selectPrimaryHand() {
+    if (_primaryHand && _primaryHand.isDetected) return;
+    
+    let candidate = null;
+    for (const hand of _trackedHands) {
+        if (hand.isDetected && (!candidate || hand.firstSeen < candidate.firstSeen)) {
+            candidate = hand;
         }
     }
     
-    _previewCtx.restore();
+    if (candidate) {
+        _primaryHand = candidate;
+    } else if (_trackedHands.indexOf(_primaryHand) === -1) {
+        _primaryHand = null;
+    }
+}
+
+/**
+ * Public read-only view of a tracked hand
+ */
+function toHandInfo(hand) {
+    return {
+        id: hand.id,
+        handedness: hand.handedness,
+        score: hand.score,
+        isPrimary: hand === _primaryHand,
+        predicted: hand.isPredicted,
+        openness: hand.openness,
+        targetOpenness: hand.targetOpenness,
+        rotation: hand.rotation,
+        absoluteRotation: hand.absoluteRotation,
+        landmarks: hand.landmarks,
+        rawLandmarks: hand.rawLandmarks,
+        center: hand.center,
+        metrics: hand.metrics,
+        gesture: hand.gesture,
+        gestureConfidence: hand.gestureConfidence
+    };
 }
 
 /**
  * Draw hand landmarks on preview canvas
  */
-function drawHandLandmarks(landmarks) {
-    _previewCtx.fillStyle = '#4ecdc4';
-    _previewCtx.strokeStyle = '#ff6b9d';
+function drawHandLandmarks(landmarks, isPrimary, isPredicted) {
+    // Predicted hands are drawn faded
+    _previewCtx.globalAlpha = isPredicted ? 0.4 : 1;
+    _previewCtx.fillStyle = isPrimary ? '#4ecdc4' : '#7b68ee';
+    _previewCtx.strokeStyle = isPrimary ? '#ff6b9d' : '#b39ddb';
     _previewCtx.lineWidth = 1;
     
     // Draw connections
@@ -201,136 +724,800 @@ function drawHandLandmarks(landmarks) {
 }
 
 /**
- * Calculate hand openness (0 = closed fist, 1 = fully open)
+ * Calculate hand rotation as a THREE.Quaternion (see HandMath.calculateHandQuaternion)
  */
-function calculateHandOpenness(landmarks) {
-    const wrist = landmarks[0];
-    const middleMCP = landmarks[9];
+function calculateHandRotation(landmarks) {
+    if (typeof THREE === 'undefined') return null;
     
-    // Calculate hand size reference (wrist to middle MCP)
-    const refDx = middleMCP.x - wrist.x;
-    const refDy = middleMCP.y - wrist.y;
-    const refDz = (middleMCP.z || 0) - (wrist.z || 0);
-    const handSize = Math.sqrt(refDx * refDx + refDy * refDy + refDz * refDz);
+    const q = HandMath.calculateHandQuaternion(landmarks);
+    return q ? new THREE.Quaternion(q.x, q.y, q.z, q.w) : null;
+}
+
+/**
+ * Apply hysteresis to the per-frame scores and queue start/end events
+ */
+function updateHandGesture(hand, scores, now) {
+    hand.gestureScores = scores;
     
-    if (handSize < 0.001) return 0;
+    let best = null;
+    for (const name in scores) {
+        if (!best || scores[name] > scores[best]) best = name;
+    }
     
-    // Fingertips and their corresponding base joints
-    const fingers = [
-        { tip: landmarks[4], base: landmarks[2] },   // Thumb
-        { tip: landmarks[8], base: landmarks[5] },   // Index
-        { tip: landmarks[12], base: landmarks[9] },  // Middle
-        { tip: landmarks[16], base: landmarks[13] }, // Ring
-        { tip: landmarks[20], base: landmarks[17] }  // Pinky
-    ];
+    // Keep the active gesture until it clearly fades
+    if (hand.gesture) {
+        hand.gestureConfidence = scores[hand.gesture];
+        if (hand.gestureConfidence >= GESTURE_EXIT_CONFIDENCE &&
+            (best === hand.gesture || scores[best] < GESTURE_ENTER_CONFIDENCE)) {
+            hand.gestureCandidate = null;
+            hand.gestureCandidateFrames = 0;
+            return;
+        }
+    }
     
-    let totalRatio = 0;
-    for (const finger of fingers) {
-        const dx = finger.tip.x - finger.base.x;
-        const dy = finger.tip.y - finger.base.y;
-        const dz = (finger.tip.z || 0) - (finger.base.z || 0);
-        const fingerLength = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        totalRatio += fingerLength / handSize;
+    // A new gesture has to win for a few consecutive frames
+    if (scores[best] >= GESTURE_ENTER_CONFIDENCE && best !== hand.gesture) {
+        hand.gestureCandidateFrames = best === hand.gestureCandidate ? hand.gestureCandidateFrames + 1 : 1;
+        hand.gestureCandidate = best;
+    } else {
+        hand.gestureCandidate = null;
+        hand.gestureCandidateFrames = 0;
     }
     
-    const avgRatio = totalRatio / fingers.length;
+    const switching = hand.gestureCandidate && hand.gestureCandidateFrames >= GESTURE_MIN_FRAMES;
     
-    const minRatio = 0.45;
-    const maxRatio = 0.85;
+    if (hand.gesture && (switching || hand.gestureConfidence < GESTURE_EXIT_CONFIDENCE)) {
+        endGesture(hand, now);
+    }
     
-    const normalized = (avgRatio - minRatio) / (maxRatio - minRatio);
-    return Math.max(0, Math.min(1, normalized));
+    if (switching) {
+        hand.gesture = hand.gestureCandidate;
+        hand.gestureConfidence = scores[hand.gesture];
+        hand.gestureStartTime = now;
+        hand.gestureCandidate = null;
+        hand.gestureCandidateFrames = 0;
+        _pendingEvents.push({ event: 'gesture', data: createGestureEvent(hand, 'start', now) });
+    }
 }
 
 /**
- * Calculate hand rotation as a quaternion
+ * End the active gesture on a hand
  */
-function calculateHandRotation(landmarks) {
-    if (typeof THREE === 'undefined') return null;
+function endGesture(hand, now) {
+    _pendingEvents.push({ event: 'gesture', data: createGestureEvent(hand, 'end', now) });
+    hand.gesture = null;
+    hand.gestureConfidence = 0;
+}
+
+function createGestureEvent(hand, phase, now) {
+    return {
+        phase: phase,
+        gesture: hand.gesture,
+        confidence: hand.gestureConfidence,
+        handId: hand.id,
+        handedness: hand.handedness,
+        isPrimary: hand === _primaryHand,
+        custom: isCustomGesture(hand.gesture),
+        duration: now - (hand.gestureStartTime || now)
+    };
+}
+
+/**
+ * Motion event: the recognized motion plus which hand made it and the
+ * static gesture it held (e.g. only accept swipes made with an open palm)
+ */
+function createMotionEvent(hand, motion) {
+    return Object.assign({}, motion, {
+        handId: hand.id,
+        handedness: hand.handedness,
+        isPrimary: hand === _primaryHand,
+        custom: isCustomGesture(motion.motion),
+        gesture: hand.gesture
+    });
+}
+
+function isCustomGesture(name) {
+    return !!(_customGestures && _customGestures.has(name));
+}
+
+/**
+ * Deliver queued hand and gesture events once the frame's hand state is settled
+ */
+function flushEvents() {
+    const pending = _pendingEvents;
+    _pendingEvents = [];
     
-    const wrist = new THREE.Vector3(
-        landmarks[0].x - 0.5,
-        -(landmarks[0].y - 0.5),
-        landmarks[0].z || 0
-    );
+    for (const item of pending) {
+        emit(item.event, item.hand ? toHandInfo(item.hand) : item.data);
+    }
+}
+
+/**
+ * Subscribe to an event:
+ *   handupdate - { openness, rotation, landmarks, handedness, hands } each frame with a hand
+ *   handfound  - hand info (see getHands) when a hand appears
+ *   handlost   - hand info when a hand disappears
+ *   gesture    - { phase: 'start' | 'end', gesture, confidence, handId, custom, ... }
+ *   motion     - { motion, direction, speed, distance, duration, handId, gesture, custom, ... }
+ *   twohand    - { phase: 'start' | 'update' | 'end', scale, rotation, pan, center, handIds, ... }
+ *   error      - Error from the input source (error.code: see HandErrors.CODES)
+ *   recovered  - { source } when a disconnected camera is back
+ *   frame      - { timestamp, hands, results } for every results frame
+ * Listeners added inside a listener scope are removed when it ends.
+ * @returns {Function} Unsubscribe function
+ */
+function on(event, callback, options) {
+    if (EVENTS.indexOf(event) === -1) {
+        throw new Error(`Unknown hand tracking event: ${event}`);
+    }
     
-    const indexMCP = new THREE.Vector3(
-        landmarks[5].x - 0.5,
-        -(landmarks[5].y - 0.5),
-        landmarks[5].z || 0
-    );
+    const listener = { callback, once: !!(options && options.once), scope: _listenerScope };
+    (_listeners[event] = _listeners[event] || []).push(listener);
+    return () => removeListener(event, listener);
+}
+
+/**
+ * Subscribe for a single call
+ */
+function once(event, callback) {
+    return on(event, callback, { once: true });
+}
+
+/**
+ * Unsubscribe a callback, or every listener of the event if none is given
+ */
+function off(event, callback) {
+    const listeners = _listeners[event] || [];
+    for (const listener of listeners.slice()) {
+        if (!callback || listener.callback === callback) {
+            removeListener(event, listener);
+        }
+    }
+}
+
+function removeListener(event, listener) {
+    const listeners = _listeners[event];
+    const index = listeners ? listeners.indexOf(listener) : -1;
+    if (index !== -1) listeners.splice(index, 1);
+}
+
+/**
+ * Call every listener of an event. A throwing listener is logged and
+ * doesn't stop the others.
+ */
+function emit(event, data) {
+    const listeners = _listeners[event];
+    if (!listeners || listeners.length === 0) return;
     
-    const pinkyMCP = new THREE.Vector3(
-        landmarks[17].x - 0.5,
-        -(landmarks[17].y - 0.5),
-        landmarks[17].z || 0
-    );
+    for (const listener of listeners.slice()) {
+        if (listener.once) removeListener(event, listener);
+        try {
+            listener.callback(data);
+        } catch (error) {
+            console.error(`Error in ${event} listener:`, error);
+        }
+    }
+}
+
+/**
+ * Tag listeners added from now on with a scope (main.js uses the demo id)
+ */
+function beginListenerScope(scope) {
+    _listenerScope = scope;
+}
+
+/**
+ * Remove every listener added in the current scope, e.g. after a demo's destroy()
+ */
+function endListenerScope() {
+    if (_listenerScope === null) return;
     
-    const middleMCP = new THREE.Vector3(
-        landmarks[9].x - 0.5,
-        -(landmarks[9].y - 0.5),
-        landmarks[9].z || 0
-    );
+    for (const event in _listeners) {
+        _listeners[event] = _listeners[event].filter((listener) => listener.scope !== _listenerScope);
+    }
+    _listenerScope = null;
+}
+
+/**
+ * Subscribe to gesture start/end. Optionally filter by gesture name:
+ *   onGestureStart('pinch', (e) => ...)
+ *   onGestureStart((e) => ...)
+ * @returns {Function} Unsubscribe function
+ */
+function addGestureListener(phase, gesture, callback) {
+    if (typeof gesture === 'function') {
+        callback = gesture;
+        gesture = null;
+    }
+    return on('gesture', (event) => {
+        if (event.phase === phase && (!gesture || event.gesture === gesture)) {
+            callback(event);
+        }
+    });
+}
+
+function onGestureStart(gesture, callback) {
+    return addGestureListener('start', gesture, callback);
+}
+
+function onGestureEnd(gesture, callback) {
+    return addGestureListener('end', gesture, callback);
+}
+
+/**
+ * Subscribe to dynamic gestures, optionally one kind only:
+ *   onMotion('wave', (e) => ...)
+ *   onMotion((e) => ...)
+ * @returns {Function} Unsubscribe function
+ */
+function onMotion(motion, callback) {
+    if (typeof motion === 'function') {
+        callback = motion;
+        motion = null;
+    }
+    return on('motion', (event) => {
+        if (!motion || event.motion === motion) {
+            callback(event);
+        }
+    });
+}
+
+/**
+ * Update smoothed values - call this in animation loop.
+ * Visible hands are filtered as results arrive; this fades out the
+ * openness of lost hands and refreshes the primary rotation.
+ */
+function updateHandTracking() {
+    const now = performance.now();
     
-    // Hand "up" direction (wrist to middle finger)
-    const handUp = new THREE.Vector3().subVectors(middleMCP, wrist).normalize();
+    if (_stats.lastRenderTime !== null) {
+        _stats.renderFps = averageRate(_stats.renderFps, now - _stats.lastRenderTime);
+    }
+    _stats.lastRenderTime = now;
     
-    // Hand "right" direction (pinky to index - reversed for correct visual roll)
-    const handRight = new THREE.Vector3().subVectors(indexMCP, pinkyMCP).normalize();
+    for (const hand of _trackedHands) {
+        if (!hand.isDetected) {
+            hand.openness = Math.max(0, hand.filters.openness.filter(0, now));
+        }
+    }
     
-    // Hand "forward" direction (palm normal)
-    const handForward = new THREE.Vector3().crossVectors(handRight, handUp).normalize();
+    if (_primaryHand && _primaryHand.isDetected && _primaryHand.rotation && _handRotation) {
+        _handRotation.copy(_primaryHand.rotation);
+    }
+}
+
+function createStats() {
+    return {
+        frames: 0,
+        lastResultsTime: null,
+        inferenceFps: 0,
+        latency: null,
+        lastRenderTime: null,
+        renderFps: 0
+    };
+}
+
+/**
+ * Time a results frame. Camera sources stamp `frameTime` when the frame
+ * went to inference, so the difference is the inference latency.
+ */
+function recordResultsTiming(results) {
+    const now = performance.now();
+    if (_stats.lastResultsTime !== null) {
+        _stats.inferenceFps = averageRate(_stats.inferenceFps, now - _stats.lastResultsTime);
+    }
+    _stats.lastResultsTime = now;
+    _stats.frames++;
     
-    // Recalculate right to ensure orthogonality
-    handRight.crossVectors(handUp, handForward).normalize();
+    if (results.frameTime !== undefined) {
+        const latency = now - results.frameTime;
+        _stats.latency = _stats.latency === null
+            ? latency
+            : _stats.latency + (latency - _stats.latency) * STATS_SMOOTHING;
+    }
+}
+
+/**
+ * Fold one frame interval (ms) into a running frames-per-second average
+ */
+function averageRate(rate, interval) {
+    if (!(interval > 0)) return rate;
+    const instant = 1000 / interval;
+    return rate ? rate + (instant - rate) * STATS_SMOOTHING : instant;
+}
+
+/**
+ * Current tracking performance:
+ *   { source, inWorker, frames, inferenceFps, renderFps, latency (ms, null
+ *     if the source doesn't report it), config, hands (see getHands) }
+ * renderFps counts update() calls, i.e. the active demo's render loop.
+ */
+function getDiagnostics() {
+    const now = performance.now();
+    const isFresh = (time) => time !== null && now - time < STATS_STALE_MS;
+    
+    return {
+        source: _source ? _source.name : null,
+        inWorker: !!(_source && _source.isInWorker && _source.isInWorker()),
+        frames: _stats.frames,
+        inferenceFps: isFresh(_stats.lastResultsTime) ? _stats.inferenceFps : 0,
+        renderFps: isFresh(_stats.lastRenderTime) ? _stats.renderFps : 0,
+        latency: _stats.latency,
+        config: getConfig(),
+        hands: getHands()
+    };
+}
+
+/**
+ * Change tracking options while running. Accepts any of DEFAULT_CONFIG's
+ * keys plus `filters` (as setFilters). Everything is validated before
+ * anything is applied; model options reach MediaPipe without a restart.
+ * modelComplexity is kept but has no effect while inference runs in the
+ * worker, whose HandLandmarker has a single model.
+ * @returns {Object} The resulting configuration (see getConfig)
+ */
+function configure(options) {
+    const merged = Object.assign({}, _config);
+    let filters = null;
+    
+    for (const key in options) {
+        const value = options[key];
+        if (key === 'filters') {
+            filters = HandFilters.mergeSettings(_filterSettings, value);
+            for (const channel in filters) {
+                HandFilters.create(filters[channel]);
+            }
+            continue;
+        }
+        if (!(key in DEFAULT_CONFIG)) {
+            throw new Error(`Unknown hand tracking option: ${key}`);
+        }
+        validateConfigValue(key, value);
+        merged[key] = value;
+    }
     
-    // Create rotation matrix from basis vectors
-    const rotMatrix = new THREE.Matrix4();
-    rotMatrix.makeBasis(handRight, handUp, handForward);
+    const modelChanged = MODEL_OPTIONS.some((key) => merged[key] !== _config[key]);
+    _config = merged;
+    
+    if (filters) {
+        setFilters(filters);
+    }
+    updateOpennessRange();
+    updateInteractionBox();
+    applyPreviewSize();
+    if (modelChanged && _cameraSource) {
+        _cameraSource.setOptions(getModelOptions());
+    }
+    return getConfig();
+}
+
+function validateConfigValue(key, value) {
+    const isNumber = typeof value === 'number' && isFinite(value);
+    let valid;
     
-    // Convert to quaternion
-    const quaternion = new THREE.Quaternion();
-    quaternion.setFromRotationMatrix(rotMatrix);
+    switch (key) {
+        case 'maxNumHands':
+            valid = Number.isInteger(value) && value >= 1 && value <= 4;
+            break;
+        case 'modelComplexity':
+            valid = value === 0 || value === 1;
+            break;
+        case 'minDetectionConfidence':
+        case 'minTrackingConfidence':
+            valid = isNumber && value > 0 && value <= 1;
+            break;
+        case 'opennessRange':
+            valid = value === null || (value &&
+                typeof value.minRatio === 'number' && typeof value.maxRatio === 'number' &&
+                value.minRatio < value.maxRatio);
+            break;
+        case 'interactionBox':
+            valid = value === null || InteractionBox.isValid(value);
+            break;
+        case 'previewWidth':
+        case 'previewHeight':
+            valid = Number.isInteger(value) && value > 0;
+            break;
+    }
     
-    return quaternion;
+    if (!valid) {
+        throw new Error(`Invalid hand tracking option ${key}: ${JSON.stringify(value)}`);
+    }
 }
 
 /**
- * Update smoothed values - call this in animation loop
+ * Restore the default options and smoothing filters
  */
-function updateHandTracking() {
-    // Smooth openness
-    _smoothedOpenness += (_targetHandOpenness - _smoothedOpenness) * SMOOTHING;
-    _handOpenness = _smoothedOpenness;
+function resetConfig() {
+    configure(DEFAULT_CONFIG);
+    resetFilters();
+}
+
+function getConfig() {
+    return Object.assign({}, _config, { filters: getFilters() });
+}
+
+/**
+ * Read options from URL query parameters for quick experiments, e.g.
+ *   ?maxNumHands=1&minDetectionConfidence=0.5&opennessRange=0.9,1.6&smoothing=kalman
+ * `interactionBox` takes minX,maxX,minY,maxY,minSize,maxSize and
+ * `smoothing` sets the filter type of every channel.
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} Options for configure() (unvalidated)
+ */
+function parseConfig(search) {
+    const params = new URLSearchParams(search);
+    const options = {};
+    
+    for (const key in DEFAULT_CONFIG) {
+        if (!params.has(key)) continue;
+        if (key === 'opennessRange') {
+            const [minRatio, maxRatio] = params.get(key).split(',').map(Number);
+            options[key] = { minRatio, maxRatio };
+        } else if (key === 'interactionBox') {
+            const [minX, maxX, minY, maxY, minSize, maxSize] = params.get(key).split(',').map(Number);
+            options[key] = { minX, maxX, minY, maxY, minSize, maxSize };
+        } else {
+            options[key] = Number(params.get(key));
+        }
+    }
     
-    // Smooth rotation
-    if (_isHandDetected && _targetHandRotation && _smoothedHandRotation) {
-        _smoothedHandRotation.slerp(_targetHandRotation, SMOOTHING * 1.5);
-        _handRotation.copy(_smoothedHandRotation);
+    if (params.has('smoothing')) {
+        const type = params.get('smoothing');
+        options.filters = {};
+        for (const channel in HandFilters.DEFAULTS) {
+            options.filters[channel] = { type: type };
+        }
+    }
+    return options;
+}
+
+function getModelOptions() {
+    const options = {};
+    for (const key of MODEL_OPTIONS) {
+        options[key] = _config[key];
     }
+    return options;
 }
 
 /**
- * Set callback for hand updates
+ * Configured openness range, else the calibration profile's, else the default
+ */
+function updateOpennessRange() {
+    if (_config.opennessRange) {
+        _opennessRange = _config.opennessRange;
+    } else if (_calibration) {
+        _opennessRange = { minRatio: _calibration.minRatio, maxRatio: _calibration.maxRatio };
+    } else {
+        _opennessRange = HandMath.DEFAULT_OPENNESS_RANGE;
+    }
+}
+
+/**
+ * Configured interaction box, else the calibration profile's, else the default
+ */
+function updateInteractionBox() {
+    if (_config.interactionBox) {
+        _interactionBox = _config.interactionBox;
+    } else if (_calibration && InteractionBox.isValid(_calibration.interactionBox)) {
+        _interactionBox = _calibration.interactionBox;
+    } else {
+        _interactionBox = InteractionBox.DEFAULT_BOX;
+    }
+}
+
+/**
+ * Size the preview canvas and its container
+ */
+function applyPreviewSize() {
+    if (!_previewCanvas) return;
+    if (_previewCanvas.width === _config.previewWidth && _previewCanvas.height === _config.previewHeight) return;
+    
+    _previewCanvas.width = _config.previewWidth;
+    _previewCanvas.height = _config.previewHeight;
+    
+    const container = _previewCanvas.parentElement;
+    if (container && (_config.previewWidth !== DEFAULT_CONFIG.previewWidth || _config.previewHeight !== DEFAULT_CONFIG.previewHeight)) {
+        container.style.width = `${_config.previewWidth}px`;
+        container.style.aspectRatio = `${_config.previewWidth} / ${_config.previewHeight}`;
+    } else if (container) {
+        // Back to the stylesheet's size
+        container.style.width = '';
+        container.style.aspectRatio = '';
+    }
+}
+
+/**
+ * Change smoothing filters. Accepts partial settings per channel, e.g.
+ *   setFilters({ openness: { type: 'kalman', processNoise: 50 } })
+ * Types: 'oneEuro' { minCutoff, beta, dCutoff }, 'kalman' { processNoise,
+ * measurementNoise } or 'none'. Filters of tracked hands restart.
+ */
+function setFilters(settings) {
+    const merged = HandFilters.mergeSettings(_filterSettings, settings);
+    
+    // Validate before applying so a typo doesn't break tracking mid-demo
+    for (const channel in merged) {
+        HandFilters.create(merged[channel]);
+    }
+    
+    _filterSettings = merged;
+    for (const hand of _trackedHands) {
+        hand.filters = createHandFilters();
+    }
+}
+
+/**
+ * Restore the default smoothing filters
+ */
+function resetFilters() {
+    _filterSettings = HandFilters.mergeSettings(HandFilters.DEFAULTS);
+    for (const hand of _trackedHands) {
+        hand.filters = createHandFilters();
+    }
+}
+
+function getFilters() { return HandFilters.mergeSettings(_filterSettings); }
+
+/**
+ * Recognize user-trained gestures (see handTemplates.js). Poses arrive as
+ * gesture events and motions as motion events, with `custom: true`.
+ * @param {Array} templates - Replaces the current set; empty or null for none
+ */
+function setCustomGestures(templates) {
+    const next = templates ? templates.slice() : [];
+    const matcher = next.length > 0 ? HandTemplates.createMatcher(next) : null;
+    
+    // A trained pose that was removed can't stay active
+    const now = performance.now();
+    for (const hand of _trackedHands) {
+        if (hand.gesture && isCustomGesture(hand.gesture) && !(matcher && matcher.has(hand.gesture))) {
+            endGesture(hand, now);
+        }
+    }
+    
+    _customTemplates = next;
+    _customGestures = matcher;
+    for (const hand of _trackedHands) {
+        hand.customMotionTracker = matcher ? matcher.createMotionTracker() : null;
+    }
+}
+
+function getCustomGestures() { return _customTemplates.slice(); }
+
+/**
+ * Set how long a missing hand is predicted before it counts as lost
+ * @param {number} ms - 0 disables prediction
+ */
+function setLostGracePeriod(ms) {
+    if (typeof ms !== 'number' || !(ms >= 0 && ms <= MAX_LOST_GRACE_MS)) {
+        throw new Error(`Lost grace period must be between 0 and ${MAX_LOST_GRACE_MS} ms`);
+    }
+    _lostGraceMs = ms;
+}
+
+function getLostGracePeriod() { return _lostGraceMs; }
+
+/**
+ * Use a calibration profile's openness range, interaction box (and neutral rotation)
+ * @param {Object|null} profile - { name, minRatio, maxRatio, neutralRotations, interactionBox }, or null for defaults
+ */
+function setCalibration(profile) {
+    _calibration = profile || null;
+    updateOpennessRange();
+    updateInteractionBox();
+}
+
+function getCalibration() { return _calibration; }
+
+/**
+ * Treat the primary hand's current orientation, and its mirror image for
+ * the other hand, as level from now on
+ * @returns {Object|null} The captured quaternion, or null if no hand is visible
+ */
+function captureNeutral() {
+    if (!isHandDetected() || !_primaryHand.absoluteRotation) return null;
+    
+    const q = _primaryHand.absoluteRotation;
+    const neutral = { x: q.x, y: q.y, z: q.z, w: q.w };
+    _neutralRotations = HandMath.createNeutralRotations(neutral, _primaryHand.handedness);
+    return neutral;
+}
+
+/**
+ * Forget the captured neutral (the calibration profile's neutral, if any, applies again)
+ */
+function resetNeutral() {
+    _neutralRotations = null;
+}
+
+/**
+ * Neutral rotation in effect for a hand: captured, else calibrated, else
+ * null (camera-facing)
+ * @param {string} [handedness] - 'Left' or 'Right' (default: the primary hand's)
+ */
+function getNeutralRotation(handedness = getHandedness()) {
+    const neutrals = _neutralRotations || (_calibration && _calibration.neutralRotations);
+    return (neutrals && neutrals[handedness]) || null;
+}
+
+/**
+ * Change per-axis dead zones and response curves. Accepts partial settings, e.g.
+ *   setRotationResponse({ roll: { deadZone: 0.08, exponent: 1.5 } })
+ * Each axis (roll, pitch, yaw) takes deadZone and range in radians, an
+ * exponent (1 = linear, >1 = finer control near neutral) and a sensitivity.
+ */
+function setRotationResponse(settings) {
+    _rotationResponse = HandMath.mergeRotationResponse(_rotationResponse, settings);
+}
+
+/**
+ * Restore the linear, dead-zone-free response
+ */
+function resetRotationResponse() {
+    _rotationResponse = HandMath.mergeRotationResponse(HandMath.DEFAULT_ROTATION_RESPONSE);
+}
+
+function getRotationResponse() { return HandMath.mergeRotationResponse(_rotationResponse); }
+
+/**
+ * Start capturing every results frame for later replay
+ * @param {Object} [metadata] - Stored with the session (e.g. demo id, notes)
+ */
+function startRecording(metadata) {
+    _recorder.start(metadata);
+}
+
+/**
+ * Stop capturing
+ * @returns {Object|null} The recorded session
+ */
+function stopRecording() {
+    return _recorder.stop();
+}
+
+function isRecording() { return _recorder.isRecording(); }
+
+/**
+ * Feed a recorded session through the pipeline instead of the current
+ * source, which is restored when playback ends, is stopped or fails to
+ * start.
+ * @param {Object|string} session - Session object or its JSON / NDJSON text
+ * @param {Object} [options] - { loop, speed }
+ * @returns {Promise} Resolves when playback ends or is stopped
+ */
+function startReplay(session, options = {}) {
+    if (typeof session === 'string') {
+        session = HandRecorder.parse(session);
+    }
+    
+    if (session.frames.length === 0) {
+        return Promise.resolve();
+    }
+    
+    const previous = isReplaying() ? _sourceBeforeReplay : _source;
+    
+    return new Promise((resolve, reject) => {
+        const replay = HandInputSources.createReplaySource(session, {
+            loop: options.loop,
+            speed: options.speed,
+            onEnd: () => {
+                if (_source === replay) stopReplay();
+            }
+        });
+        
+        setInputSource(replay).then(() => {
+            _sourceBeforeReplay = previous;
+            _replayDone = resolve;
+        }, (error) => {
+            // Put back the source the replay was to replace, unless another
+            // one has taken over since
+            if (_source === replay) {
+                setInputSource(previous).catch((restoreError) => {
+                    console.error('Failed to restore input source:', restoreError);
+                });
+            }
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Stop a running replay and hand control back to the previous source
+ */
+function stopReplay() {
+    if (!isReplaying()) return;
+    const previous = _sourceBeforeReplay;
+    finishReplay();
+    setInputSource(previous).catch((error) => {
+        console.error('Failed to restore input source:', error);
+    });
+}
+
+/**
+ * Settle the pending replay promise
+ */
+function finishReplay() {
+    const done = _replayDone;
+    _sourceBeforeReplay = null;
+    _replayDone = null;
+    if (done) done();
+}
+
+function isReplaying() { return !!(_source && _source.name === 'replay'); }
+
+/**
+ * Set callback for hand updates (replaces the previous one; see on('handupdate'))
  */
 function setOnHandUpdate(callback) {
-    _onHandUpdate = callback;
+    if (_unsubscribeHandUpdate) _unsubscribeHandUpdate();
+    _unsubscribeHandUpdate = callback ? on('handupdate', callback) : null;
 }
 
 /**
- * Set callback for when hand is lost
+ * Set callback for when the last visible hand is lost (see on('handlost'))
  */
 function setOnHandLost(callback) {
-    _onHandLost = callback;
+    if (_unsubscribeHandLost) _unsubscribeHandLost();
+    _unsubscribeHandLost = callback ? on('handlost', () => {
+        if (!isHandDetected()) callback();
+    }) : null;
 }
 
-// Getters
-function getHandOpenness() { return _handOpenness; }
-function getTargetOpenness() { return _targetHandOpenness; }
+// Getters (primary hand view)
+function getHandOpenness() { return _primaryHand ? _primaryHand.openness : 0; }
+function getTargetOpenness() { return _primaryHand ? _primaryHand.targetOpenness : 0; }
 function getHandRotation() { return _handRotation; }
-function isHandDetected() { return _isHandDetected; }
-function getLandmarks() { return _landmarks; }
-function getHandedness() { return _handedness; }
+function getAbsoluteRotation() { return _primaryHand ? _primaryHand.absoluteRotation : null; }
+function isHandDetected() { return !!(_primaryHand && _primaryHand.isDetected); }
+function isHandPredicted() { return !!(_primaryHand && _primaryHand.isPredicted); }
+function getLandmarks() { return _primaryHand ? _primaryHand.landmarks : null; }
+function getHandedness() { return _primaryHand ? _primaryHand.handedness : 'Right'; }
+function getGesture() { return _primaryHand && _primaryHand.isDetected ? _primaryHand.gesture : null; }
+function getGestureScores() { return _primaryHand ? _primaryHand.gestureScores : null; }
+function getTwoHandTransform() { return _twoHandTransform; }
+function getInteractionBox() { return _interactionBox; }
+function getFingerCurls() { return _primaryHand && _primaryHand.metrics ? _primaryHand.metrics.curls : null; }
+function getPinchDistances() { return _primaryHand && _primaryHand.metrics ? _primaryHand.metrics.pinchDistances : null; }
+function getFingerSpread() { return _primaryHand && _primaryHand.metrics ? _primaryHand.metrics.spread : null; }
+
+/**
+ * Get all currently visible hands, primary hand first
+ */
+function getHands() {
+    return _trackedHands
+        .filter((hand) => hand.isDetected)
+        .sort((a, b) => (b === _primaryHand) - (a === _primaryHand) || a.firstSeen - b.firstSeen)
+        .map(toHandInfo);
+}
+
+/**
+ * Get a visible hand by handedness label ('Left' / 'Right') or id
+ */
+function getHand(key) {
+    const hand = _trackedHands.find((h) =>
+        h.isDetected && (typeof key === 'number' ? h.id === key : h.handedness === key)
+    );
+    return hand ? toHandInfo(hand) : null;
+}
+
+/**
+ * Where a hand is inside the interaction box, in the caller's coordinates
+ * @param {Object} [range] - { x: [from, to], y: [from, to], z: [from, to] } for
+ *   left to right, top to bottom and far to near; axes without one stay 0 to 1
+ * @param {number|string} [key] - Hand id or handedness; defaults to the primary hand
+ * @returns {Object|null} { x, y, z }, or null if the hand isn't detected
+ */
+function getInteractionPosition(range, key) {
+    const hand = key === undefined ? _primaryHand : _trackedHands.find((h) =>
+        h.isDetected && (typeof key === 'number' ? h.id === key : h.handedness === key)
+    );
+    if (!hand || !hand.isDetected || !hand.landmarks) return null;
+    
+    const position = InteractionBox.normalize(hand.landmarks, _interactionBox);
+    return position ? InteractionBox.map(position, range) : null;
+}
+
 function getIsMobile() { return isMobile; }
 function getShowCameraFeed() { return _showCameraFeed; }
 function toggleCameraFeed() { 
@@ -342,16 +1529,75 @@ function toggleCameraFeed() {
 window.HandTracking = {
     init: initHandTracking,
     update: updateHandTracking,
+    DEFAULT_CONFIG: DEFAULT_CONFIG,
+    configure: configure,
+    resetConfig: resetConfig,
+    getConfig: getConfig,
+    parseConfig: parseConfig,
+    on: on,
+    once: once,
+    off: off,
+    beginListenerScope: beginListenerScope,
+    endListenerScope: endListenerScope,
+    setFilters: setFilters,
+    resetFilters: resetFilters,
+    getFilters: getFilters,
+    setCalibration: setCalibration,
+    getCalibration: getCalibration,
     getOpenness: getHandOpenness,
     getTargetOpenness: getTargetOpenness,
     getRotation: getHandRotation,
+    getAbsoluteRotation: getAbsoluteRotation,
+    captureNeutral: captureNeutral,
+    resetNeutral: resetNeutral,
+    getNeutralRotation: getNeutralRotation,
+    setRotationResponse: setRotationResponse,
+    resetRotationResponse: resetRotationResponse,
+    getRotationResponse: getRotationResponse,
     isDetected: isHandDetected,
+    isPredicted: isHandPredicted,
+    setLostGracePeriod: setLostGracePeriod,
+    getLostGracePeriod: getLostGracePeriod,
     getLandmarks: getLandmarks,
     getHandedness: getHandedness,
+    getHands: getHands,
+    getHand: getHand,
+    GESTURES: HandMath.GESTURES,
+    getGesture: getGesture,
+    getGestureScores: getGestureScores,
+    onGestureStart: onGestureStart,
+    onGestureEnd: onGestureEnd,
+    MOTIONS: HandMotion.MOTIONS,
+    onMotion: onMotion,
+    getTwoHandTransform: getTwoHandTransform,
+    getInteractionBox: getInteractionBox,
+    getInteractionPosition: getInteractionPosition,
+    setCustomGestures: setCustomGestures,
+    getCustomGestures: getCustomGestures,
+    getFingerCurls: getFingerCurls,
+    getPinchDistances: getPinchDistances,
+    getFingerSpread: getFingerSpread,
+    calculateFingerMetrics: HandMath.calculateFingerMetrics,
     isMobile: getIsMobile,
     setOnHandUpdate: setOnHandUpdate,
     setOnHandLost: setOnHandLost,
     toggleCameraFeed: toggleCameraFeed,
-    getShowCameraFeed: getShowCameraFeed
+    startRecording: startRecording,
+    stopRecording: stopRecording,
+    isRecording: isRecording,
+    startReplay: startReplay,
+    stopReplay: stopReplay,
+    isReplaying: isReplaying,
+    setInputSource: setInputSource,
+    getInputSource: getInputSource,
+    ERRORS: HandErrors.CODES,
+    isRecovering: isRecovering,
+    setCameraSettings: setCameraSettings,
+    getCameraSettings: getCameraSettings,
+    getCameraTrackSettings: getCameraTrackSettings,
+    getFrameAspect: getFrameAspect,
+    getCameras: getCameras,
+    getShowCameraFeed: getShowCameraFeed,
+    getDiagnostics: getDiagnostics
 };
 
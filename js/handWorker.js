@@ -0,0 +1,94 @@
+/**
+ * Hand Inference Worker
+ * Runs MediaPipe's HandLandmarker off the main thread so inference doesn't
+ * compete with the demos' render loops. Loaded as a module worker by
+ * HandInputSources.createWorkerCameraSource.
+ *
+ * Messages in:
+ *   { type: 'init', bundleUrl, wasmUrl, modelUrl, options }
+ *   { type: 'frame', bitmap, timestamp }   - bitmap is transferred and closed here
+ *   { type: 'options', options }           - { maxNumHands, minDetectionConfidence, minTrackingConfidence };
+ *                                            modelComplexity is ignored, HandLandmarker has one model
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'results', timestamp, landmarks, handedness }
+ *   { type: 'error', message }
+ */
+
+let landmarker = null;
+let lastTimestamp = -1;
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'init') {
+        try {
+            await init(message);
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: `Failed to load hand model: ${error.message}` });
+        }
+    } else if (message.type === 'frame') {
+        detect(message.bitmap, message.timestamp);
+    } else if (message.type === 'options' && landmarker) {
+        try {
+            await landmarker.setOptions(toLandmarkerOptions(message.options));
+        } catch (error) {
+            self.postMessage({ type: 'error', message: `Failed to apply options: ${error.message}` });
+        }
+    }
+};
+
+async function init(message) {
+    const vision = await import(message.bundleUrl);
+    const fileset = await vision.FilesetResolver.forVisionTasks(message.wasmUrl);
+
+    landmarker = await vision.HandLandmarker.createFromOptions(fileset, Object.assign({
+        baseOptions: {
+            modelAssetPath: message.modelUrl,
+            // The GPU delegate draws into its own OffscreenCanvas
+            delegate: typeof OffscreenCanvas !== 'undefined' ? 'GPU' : 'CPU'
+        },
+        runningMode: 'VIDEO'
+    }, toLandmarkerOptions(message.options || {})));
+}
+
+/**
+ * Map MediaPipe Hands option names to HandLandmarker's
+ */
+function toLandmarkerOptions(options) {
+    return {
+        numHands: options.maxNumHands || 1,
+        minHandDetectionConfidence: options.minDetectionConfidence || 0.7,
+        minHandPresenceConfidence: options.minTrackingConfidence || 0.5,
+        minTrackingConfidence: options.minTrackingConfidence || 0.5
+    };
+}
+
+function detect(bitmap, timestamp) {
+    if (!landmarker) {
+        bitmap.close();
+        return;
+    }
+
+    // detectForVideo needs strictly increasing timestamps
+    timestamp = Math.max(timestamp, lastTimestamp + 1);
+    lastTimestamp = timestamp;
+
+    try {
+        const result = landmarker.detectForVideo(bitmap, timestamp);
+        self.postMessage({
+            type: 'results',
+            timestamp: timestamp,
+            landmarks: result.landmarks,
+            handedness: (result.handedness || result.handednesses || []).map((categories) => ({
+                label: categories[0].categoryName,
+                score: categories[0].score
+            }))
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    } finally {
+        bitmap.close();
+    }
+}
@@ -0,0 +1,717 @@
+/**
+ * Hand Input Sources
+ * Interchangeable providers of MediaPipe-shaped results for HandTracking.
+ *
+ * Every source implements:
+ *   name                 - 'camera', 'replay', 'mouse' or 'synthetic'
+ *                          (the worker camera is also 'camera')
+ *   start(onResults)     - Begin delivering results; may return a Promise
+ *   stop()               - Stop delivering results and release resources
+ *
+ * Results look like MediaPipe's: { image, multiHandLandmarks,
+ * multiHandedness } plus an optional `timestamp` (ms) that overrides the
+ * wall clock, which lets tests drive the pipeline deterministically.
+ * Camera sources add `frameTime`: performance.now() when the frame was
+ * sent to inference, for measuring latency.
+ */
+
+const HandInputSources = (function() {
+    // Default asset locations (HandTracking passes HandAssets.url() instead)
+    const HANDS_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/';
+    const TASKS_VISION_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/';
+    const HAND_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+    // Camera request; `mirrored` declares that the feed is already flipped
+    // horizontally (as some document cameras and virtual webcams deliver it)
+    const DEFAULT_CAMERA = Object.freeze({
+        deviceId: null,
+        width: 640,
+        height: 480,
+        frameRate: 30,
+        mirrored: false
+    });
+
+    // Canonical hand in hand-size units: wrist at the origin, fingers along
+    // +y, index side along +x, fingers curling toward -z (the camera)
+    const OPEN_POSE = [
+        [0, 0, 0],
+        [0.35, 0.25, 0], [0.6, 0.45, 0], [0.8, 0.65, 0], [0.95, 0.85, 0],         // Thumb
+        [0.35, 1.0, 0], [0.38, 1.4, 0], [0.4, 1.65, 0], [0.42, 1.85, 0],         // Index
+        [0.05, 1.0, 0], [0.06, 1.45, 0], [0.07, 1.72, 0], [0.08, 1.95, 0],       // Middle
+        [-0.22, 0.95, 0], [-0.24, 1.37, 0], [-0.26, 1.62, 0], [-0.28, 1.82, 0],  // Ring
+        [-0.45, 0.85, 0], [-0.5, 1.17, 0], [-0.53, 1.37, 0], [-0.56, 1.53, 0]   // Pinky
+    ];
+
+    const FIST_POSE = [
+        [0, 0, 0],
+        [0.35, 0.25, 0], [0.5, 0.5, -0.1], [0.35, 0.7, -0.3], [0.1, 0.7, -0.35], // Thumb
+        [0.35, 1.0, 0], [0.36, 1.3, -0.25], [0.37, 1.1, -0.45], [0.38, 0.85, -0.35],
+        [0.05, 1.0, 0], [0.06, 1.32, -0.27], [0.07, 1.1, -0.48], [0.08, 0.83, -0.37],
+        [-0.22, 0.95, 0], [-0.24, 1.25, -0.25], [-0.26, 1.05, -0.44], [-0.28, 0.8, -0.34],
+        [-0.45, 0.85, 0], [-0.5, 1.1, -0.2], [-0.53, 0.95, -0.37], [-0.56, 0.76, -0.3]
+    ];
+
+    const PALM_CENTER = [0, 0.5, 0];
+
+    // A frame the hand worker hasn't answered by then is given up on
+    const WORKER_FRAME_TIMEOUT = 3000;
+
+    /**
+     * Build 21 landmarks for a hand described by a few parameters.
+     * @param {Object} pose
+     *   x, y       - Palm center in normalized image coordinates (default 0.5)
+     *   size       - Wrist to middle knuckle in image units (default 0.12)
+     *   openness   - 0 fist to 1 open (default 1)
+     *   roll, pitch, yaw - Radians (default 0, palm facing the camera)
+     *   handedness - 'Left' mirrors the hand (default 'Right')
+     */
+    function synthesizeLandmarks(pose) {
+        const x = pose.x !== undefined ? pose.x : 0.5;
+        const y = pose.y !== undefined ? pose.y : 0.5;
+        const size = pose.size || 0.12;
+        const t = Math.max(0, Math.min(1, pose.openness !== undefined ? pose.openness : 1));
+        const mirror = pose.handedness === 'Left' ? -1 : 1;
+
+        const rotate = createRotation(pose.roll || 0, pose.pitch || 0, pose.yaw || 0);
+        const center = rotate([PALM_CENTER[0] * mirror, PALM_CENTER[1], PALM_CENTER[2]]);
+
+        return OPEN_POSE.map((open, i) => {
+            const fist = FIST_POSE[i];
+            const local = [
+                (fist[0] + (open[0] - fist[0]) * t) * mirror,
+                fist[1] + (open[1] - fist[1]) * t,
+                fist[2] + (open[2] - fist[2]) * t
+            ];
+            const [rx, ry, rz] = rotate(local);
+
+            // Image y grows downward
+            return {
+                x: x + (rx - center[0]) * size,
+                y: y - (ry - center[1]) * size,
+                z: (rz - center[2]) * size
+            };
+        });
+    }
+
+    /**
+     * Rotation applied as yaw (y), then pitch (x), then roll (z)
+     */
+    function createRotation(roll, pitch, yaw) {
+        const cr = Math.cos(roll), sr = Math.sin(roll);
+        const cp = Math.cos(pitch), sp = Math.sin(pitch);
+        const cy = Math.cos(yaw), sy = Math.sin(yaw);
+
+        return ([x, y, z]) => {
+            // Roll about z
+            let x1 = x * cr - y * sr;
+            let y1 = x * sr + y * cr;
+            let z1 = z;
+            // Pitch about x
+            const y2 = y1 * cp - z1 * sp;
+            const z2 = y1 * sp + z1 * cp;
+            // Yaw about y
+            const x3 = x1 * cy + z2 * sy;
+            const z3 = -x1 * sy + z2 * cy;
+            return [x3, y2, z3];
+        };
+    }
+
+    /**
+     * Build a results object from hand descriptions. Each hand is either
+     * { landmarks, handedness, score } or a pose for synthesizeLandmarks().
+     */
+    function createResults(hands, timestamp) {
+        const results = {
+            image: null,
+            multiHandLandmarks: [],
+            multiHandedness: []
+        };
+        (hands || []).forEach((hand, i) => {
+            results.multiHandLandmarks.push(hand.landmarks || synthesizeLandmarks(hand));
+            results.multiHandedness.push({
+                index: i,
+                label: hand.handedness || 'Right',
+                score: hand.score !== undefined ? hand.score : 1
+            });
+        });
+        if (timestamp !== undefined) {
+            results.timestamp = timestamp;
+        }
+        return results;
+    }
+
+    /**
+     * Webcam frames run through MediaPipe Hands
+     * @param {HTMLVideoElement} videoElement
+     * @param {Object} options - { maxNumHands, modelComplexity,
+     *   minDetectionConfidence, minTrackingConfidence, handsUrl (directory
+     *   of the @mediapipe/hands files), camera (see DEFAULT_CAMERA),
+     *   onEnded (called if the camera stops delivering, e.g. unplugged) }
+     * Start rejects with a HandErrors error.
+     */
+    function createCameraSource(videoElement, options = {}) {
+        let hands = null;
+        let handsLoading = null;
+        let handler = null;
+        let settings = Object.assign({}, DEFAULT_CAMERA, options.camera);
+        let frameTime = 0;
+        let generation = 0; // Bumped by start and stop, so only the latest start opens the camera
+
+        const pump = createFramePump(videoElement, () => {
+            frameTime = performance.now();
+            return hands.send({ image: videoElement });
+        });
+
+        function getHandsOptions() {
+            return {
+                maxNumHands: options.maxNumHands || 1,
+                modelComplexity: options.modelComplexity !== undefined ? options.modelComplexity : 1,
+                minDetectionConfidence: options.minDetectionConfidence || 0.7,
+                minTrackingConfidence: options.minTrackingConfidence || 0.5
+            };
+        }
+
+        async function createHands() {
+            const created = new Hands({
+                locateFile: (file) => {
+                    return (options.handsUrl || HANDS_URL) + file;
+                }
+            });
+
+            created.setOptions(getHandsOptions());
+
+            created.onResults((results) => {
+                results.frameTime = frameTime;
+                if (handler) handler(settings.mirrored ? unmirrorResults(results) : results);
+            });
+
+            // Load the wasm and model now so failures surface here, not on the first frame
+            await created.initialize();
+            return created;
+        }
+
+        return {
+            name: 'camera',
+            async start(onResults) {
+                const run = ++generation;
+                const isCurrent = () => run === generation;
+                handler = onResults;
+                if (!await openCamera(videoElement, settings, options.onEnded, isCurrent)) return;
+
+                // MediaPipe Hands is expensive to load, so keep it across restarts
+                if (!hands) {
+                    try {
+                        if (!handsLoading) handsLoading = createHands();
+                        hands = await handsLoading;
+                    } catch (error) {
+                        handsLoading = null;
+                        if (!isCurrent()) return;
+                        closeCamera(videoElement);
+                        throw HandErrors.create(HandErrors.CODES.MODEL_LOAD_FAILED, 'The hand tracking model failed to load', error);
+                    }
+                }
+
+                if (isCurrent()) pump.start();
+            },
+            stop() {
+                generation++;
+                handler = null;
+                pump.stop();
+                closeCamera(videoElement);
+            },
+            setCameraSettings(next) {
+                settings = Object.assign({}, DEFAULT_CAMERA, next);
+            },
+            /**
+             * Change model options ({ maxNumHands, modelComplexity,
+             * minDetectionConfidence, minTrackingConfidence }) in place
+             */
+            setOptions(next) {
+                options = Object.assign({}, options, next);
+                if (hands) hands.setOptions(getHandsOptions());
+            },
+            getTrackSettings() { return getTrackSettings(videoElement); }
+        };
+    }
+
+    /**
+     * Request camera permission and start the webcam stream
+     * @param {Object} settings - { deviceId, width, height, frameRate }
+     * @param {Function} [onEnded] - Called if the track ends on its own
+     * @param {Function} [isCurrent] - False once the caller has been stopped or
+     *   restarted; a stale open then releases its stream and leaves the video alone
+     * @returns {Promise<boolean>} Whether the camera opened for a current caller
+     */
+    async function openCamera(videoElement, settings, onEnded, isCurrent = () => true) {
+        HandErrors.checkCameraSupport();
+
+        const video = {
+            width: { ideal: settings.width },
+            height: { ideal: settings.height },
+            frameRate: { ideal: settings.frameRate }
+        };
+        if (settings.deviceId) {
+            video.deviceId = { exact: settings.deviceId };
+        } else {
+            video.facingMode = 'user';
+        }
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: video });
+            if (!isCurrent()) {
+                stream.getTracks().forEach((track) => track.stop());
+                return false;
+            }
+
+            closeCamera(videoElement); // A start this one superseded may have left its stream
+            videoElement.srcObject = stream;
+            await videoElement.play();
+            if (!isCurrent()) return false;
+
+            // Stopping a track ourselves doesn't fire 'ended', so this is the
+            // device going away (unplugged, taken by another app)
+            if (onEnded) {
+                stream.getVideoTracks().forEach((track) => {
+                    track.addEventListener('ended', onEnded, { once: true });
+                });
+            }
+
+            return true;
+        } catch (error) {
+            if (!isCurrent()) return false; // e.g. play() aborted by stop()
+            closeCamera(videoElement);
+            const cameraError = HandErrors.fromCameraError(error);
+            console.error(`${cameraError.message}:`, error);
+            throw cameraError;
+        }
+    }
+
+    function closeCamera(videoElement) {
+        const stream = videoElement.srcObject;
+        if (stream) {
+            stream.getTracks().forEach((track) => track.stop());
+            videoElement.srcObject = null;
+        }
+    }
+
+    /**
+     * What the running camera actually delivers ({ deviceId, width, height,
+     * frameRate }), which may differ from what was requested
+     */
+    function getTrackSettings(videoElement) {
+        const stream = videoElement.srcObject;
+        const track = stream && stream.getVideoTracks()[0];
+        return track ? track.getSettings() : null;
+    }
+
+    /**
+     * List video inputs as { deviceId, label }. Labels are empty until
+     * camera permission has been granted.
+     */
+    async function listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter((device) => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    }
+
+    /**
+     * Flip a mirrored feed's results back: x becomes 1 - x and Left/Right
+     * swap, so every camera reports hands the same way
+     */
+    function unmirrorResults(results) {
+        return Object.assign({}, results, {
+            multiHandLandmarks: (results.multiHandLandmarks || []).map((landmarks) =>
+                landmarks.map((l) => ({ x: 1 - l.x, y: l.y, z: l.z }))
+            ),
+            multiHandedness: (results.multiHandedness || []).map((classification) =>
+                Object.assign({}, classification, {
+                    label: classification.label === 'Left' ? 'Right' : 'Left'
+                })
+            ),
+            imageMirrored: true
+        });
+    }
+
+    /**
+     * Call onFrame for each new video frame. Frames that arrive while the
+     * previous call's promise is pending are dropped rather than queued.
+     */
+    function createFramePump(videoElement, onFrame) {
+        let request = null;
+        let busy = false;
+
+        // Next video frame, or next display frame where that isn't supported
+        const requestFrame = videoElement.requestVideoFrameCallback
+            ? (callback) => videoElement.requestVideoFrameCallback(callback)
+            : (callback) => requestAnimationFrame(callback);
+        const cancelFrame = videoElement.cancelVideoFrameCallback
+            ? (id) => videoElement.cancelVideoFrameCallback(id)
+            : (id) => cancelAnimationFrame(id);
+
+        function tick() {
+            request = requestFrame(tick);
+            if (busy || videoElement.readyState < 2) return;
+
+            busy = true;
+            Promise.resolve()
+                .then(onFrame)
+                .catch((error) => console.error('Hand inference failed:', error))
+                .then(() => { busy = false; });
+        }
+
+        return {
+            start() {
+                if (request === null) request = requestFrame(tick);
+            },
+            stop() {
+                if (request !== null) {
+                    cancelFrame(request);
+                    request = null;
+                }
+            }
+        };
+    }
+
+    /**
+     * Whether this browser can run inference in a worker
+     */
+    function supportsWorkerInference() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Webcam frames run through MediaPipe's HandLandmarker in a Web Worker
+     * (js/handWorker.js). Each video frame is copied into an ImageBitmap and
+     * transferred; at most one frame is in flight, so slow inference drops
+     * frames instead of queueing them. Results arrive in MediaPipe's format.
+     * If the worker can't load, or fails later on, it falls back to
+     * createCameraSource.
+     * @param {HTMLVideoElement} videoElement
+     * @param {Object} options - as createCameraSource, plus tasksVisionUrl
+     *   (directory of @mediapipe/tasks-vision), modelUrl and onError (called
+     *   if that fallback fails to start mid-session)
+     */
+    function createWorkerCameraSource(videoElement, options = {}) {
+        let worker = null;
+        let fallback = null;
+        let handler = null;
+        let settings = Object.assign({}, DEFAULT_CAMERA, options.camera);
+        let frameDone = null;
+        let frameTimer = null;
+        let frameTime = 0;
+        let workerLoading = null;
+        let generation = 0; // As in createCameraSource
+
+        // The worker resolves URLs against its own location, so make them absolute
+        const tasksVisionUrl = new URL(options.tasksVisionUrl || TASKS_VISION_URL, document.baseURI);
+
+        // Each frame stays in flight until the worker answers
+        const pump = createFramePump(videoElement, async () => {
+            frameTime = performance.now();
+            const bitmap = await createImageBitmap(videoElement);
+            if (!worker) {
+                bitmap.close();
+                return;
+            }
+            await new Promise((resolve) => {
+                frameDone = resolve;
+                frameTimer = setTimeout(onFrameTimeout, WORKER_FRAME_TIMEOUT);
+                worker.postMessage({ type: 'frame', bitmap: bitmap, timestamp: performance.now() }, [bitmap]);
+            });
+        });
+
+        function finishFrame() {
+            clearTimeout(frameTimer);
+            frameTimer = null;
+            const done = frameDone;
+            frameDone = null;
+            if (done) done();
+        }
+
+        function onFrameTimeout() {
+            console.warn(`Hand worker didn't answer a frame within ${WORKER_FRAME_TIMEOUT} ms; sending the next one`);
+            finishFrame();
+        }
+
+        /**
+         * The worker died after loading: release the frame in flight and
+         * carry on with main-thread inference
+         */
+        function onWorkerError(e) {
+            console.error('Hand worker failed, running on the main thread:', e.message);
+            worker.terminate();
+            worker = null;
+            finishFrame();
+
+            fallback = createCameraSource(videoElement, Object.assign({}, options, { camera: settings }));
+            if (!handler) return; // Stopped; the fallback runs from the next start()
+
+            const onResults = handler;
+            handler = null;
+            pump.stop();
+            closeCamera(videoElement);
+            fallback.start(onResults).catch((error) => {
+                if (options.onError) options.onError(error);
+            });
+        }
+
+        function onMessage(e) {
+            const message = e.data;
+            if (message.type === 'results') {
+                finishFrame();
+                if (handler) {
+                    const results = {
+                        image: videoElement,
+                        frameTime: frameTime,
+                        multiHandLandmarks: message.landmarks,
+                        multiHandedness: message.handedness.map((h, i) => ({
+                            index: i,
+                            label: h.label,
+                            score: h.score
+                        }))
+                    };
+                    handler(settings.mirrored ? unmirrorResults(results) : results);
+                }
+            } else if (message.type === 'error') {
+                finishFrame();
+                console.error('Hand worker:', message.message);
+            }
+        }
+
+        function getModelOptions() {
+            return {
+                maxNumHands: options.maxNumHands,
+                minDetectionConfidence: options.minDetectionConfidence,
+                minTrackingConfidence: options.minTrackingConfidence
+            };
+        }
+
+        /**
+         * Load the model in a new worker
+         */
+        function createWorker() {
+            return new Promise((resolve, reject) => {
+                const created = new Worker('js/handWorker.js', { type: 'module' });
+                created.onmessage = (e) => {
+                    if (e.data.type === 'ready') {
+                        created.onmessage = onMessage;
+                        created.onerror = onWorkerError;
+                        resolve(created);
+                    } else if (e.data.type === 'error') {
+                        created.terminate();
+                        reject(new Error(e.data.message));
+                    }
+                };
+                created.onerror = (e) => {
+                    created.terminate();
+                    reject(new Error(`Hand worker failed to start: ${e.message}`));
+                };
+                created.postMessage({
+                    type: 'init',
+                    bundleUrl: new URL('vision_bundle.mjs', tasksVisionUrl).href,
+                    wasmUrl: new URL('wasm', tasksVisionUrl).href,
+                    modelUrl: new URL(options.modelUrl || HAND_MODEL_URL, document.baseURI).href,
+                    options: getModelOptions()
+                });
+            });
+        }
+
+        return {
+            name: 'camera',
+            async start(onResults) {
+                const run = ++generation;
+                const isCurrent = () => run === generation;
+
+                // The model is expensive to load, so keep the worker across restarts
+                if (!worker && !fallback) {
+                    try {
+                        if (!workerLoading) workerLoading = createWorker();
+                        worker = await workerLoading;
+                    } catch (error) {
+                        if (!fallback) {
+                            console.warn('Worker inference unavailable, running on the main thread:', error);
+                            fallback = createCameraSource(videoElement, Object.assign({}, options, { camera: settings }));
+                        }
+                    }
+                    if (!isCurrent()) return;
+                }
+                if (fallback) {
+                    return fallback.start(onResults);
+                }
+
+                handler = onResults;
+                if (await openCamera(videoElement, settings, options.onEnded, isCurrent)) {
+                    pump.start();
+                }
+            },
+            stop() {
+                generation++;
+                if (fallback) {
+                    fallback.stop();
+                    return;
+                }
+                handler = null;
+                pump.stop();
+                finishFrame();
+                closeCamera(videoElement);
+            },
+            setCameraSettings(next) {
+                settings = Object.assign({}, DEFAULT_CAMERA, next);
+                if (fallback) fallback.setCameraSettings(next);
+            },
+            setOptions(next) {
+                // modelComplexity only applies to the main-thread model, but is
+                // kept for the fallback
+                options = Object.assign({}, options, next);
+                if (fallback) {
+                    fallback.setOptions(next);
+                } else if (worker) {
+                    worker.postMessage({ type: 'options', options: getModelOptions() });
+                }
+            },
+            getTrackSettings() { return getTrackSettings(videoElement); },
+            isInWorker() { return !!worker; }
+        };
+    }
+
+    /**
+     * A recorded session played back in real time (see HandRecorder)
+     * @param {Object} session - Parsed recording
+     * @param {Object} options - { loop, speed, onEnd }
+     */
+    function createReplaySource(session, options = {}) {
+        let player = null;
+
+        return {
+            name: 'replay',
+            start(onResults) {
+                player = HandRecorder.createPlayer(session, onResults, options);
+                player.start();
+            },
+            stop() {
+                if (player) {
+                    player.stop();
+                    player = null;
+                }
+            },
+            isPlaying() { return !!(player && player.isPlaying()); }
+        };
+    }
+
+    /**
+     * Mouse and keyboard hand emulator.
+     *   Cursor position        - palm position (hand appears while over the page)
+     *   Wheel                  - openness (scroll up to open)
+     *   Shift + wheel          - roll
+     *   Alt + wheel            - pitch
+     *   Ctrl + wheel           - yaw
+     * @param {Object} options - { target (default window), handedness, frameRate }
+     */
+    function createMouseSource(options = {}) {
+        const target = options.target || window;
+        const frameRate = options.frameRate || 30;
+        const step = 0.0015;
+        const maxAngle = Math.PI / 2;
+
+        const pose = {
+            x: 0.5,
+            y: 0.5,
+            openness: 1,
+            roll: 0,
+            pitch: 0,
+            yaw: 0,
+            handedness: options.handedness || 'Right'
+        };
+        let isInside = false;
+        let timer = null;
+
+        const clampAngle = (angle) => Math.max(-maxAngle, Math.min(maxAngle, angle));
+
+        function onMouseMove(e) {
+            isInside = true;
+            // The camera image is not mirrored, so screen right is image left
+            pose.x = 1 - e.clientX / window.innerWidth;
+            pose.y = e.clientY / window.innerHeight;
+        }
+
+        function onMouseLeave() {
+            isInside = false;
+        }
+
+        function onWheel(e) {
+            e.preventDefault();
+            const delta = -e.deltaY * step;
+            if (e.shiftKey) {
+                pose.roll = clampAngle(pose.roll + delta);
+            } else if (e.altKey) {
+                pose.pitch = clampAngle(pose.pitch + delta);
+            } else if (e.ctrlKey) {
+                pose.yaw = clampAngle(pose.yaw + delta);
+            } else {
+                pose.openness = Math.max(0, Math.min(1, pose.openness + delta));
+            }
+        }
+
+        return {
+            name: 'mouse',
+            start(onResults) {
+                target.addEventListener('mousemove', onMouseMove);
+                document.addEventListener('mouseleave', onMouseLeave);
+                target.addEventListener('wheel', onWheel, { passive: false });
+
+                timer = setInterval(() => {
+                    onResults(createResults(isInside ? [pose] : []));
+                }, 1000 / frameRate);
+            },
+            stop() {
+                target.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseleave', onMouseLeave);
+                target.removeEventListener('wheel', onWheel);
+                clearInterval(timer);
+                timer = null;
+            },
+            getPose() { return Object.assign({}, pose); }
+        };
+    }
+
+    /**
+     * Programmatic source for tests: nothing happens until emit() is called.
+     *   source.emit([{ x: 0.4, y: 0.5, openness: 0 }], 1000);
+     *   source.emit([], 1033); // hand gone
+     */
+    function createSyntheticSource() {
+        let handler = null;
+
+        return {
+            name: 'synthetic',
+            start(onResults) {
+                handler = onResults;
+            },
+            stop() {
+                handler = null;
+            },
+            emit(hands, timestamp) {
+                if (handler) handler(createResults(hands, timestamp));
+            }
+        };
+    }
+
+    // Public API
+    return {
+        DEFAULT_CAMERA: DEFAULT_CAMERA,
+        createCameraSource: createCameraSource,
+        createWorkerCameraSource: createWorkerCameraSource,
+        supportsWorkerInference: supportsWorkerInference,
+        listCameras: listCameras,
+        createReplaySource: createReplaySource,
+        createMouseSource: createMouseSource,
+        createSyntheticSource: createSyntheticSource,
+        synthesizeLandmarks: synthesizeLandmarks,
+        createResults: createResults
+    };
+})();
+
+window.HandInputSources = HandInputSources;
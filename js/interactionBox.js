@@ -0,0 +1,156 @@
+/**
+ * Interaction Box
+ * Maps the hand to a demo's own coordinate space: a region of the camera
+ * frame (where the user can comfortably reach) spans the demo's x and y
+ * range, and the hand's apparent size between a far and a near reference
+ * spans its depth range. MediaPipe's landmark z is only relative to the
+ * wrist, so apparent size is the only usable distance cue.
+ *
+ * Boxes are { minX, maxX, minY, maxY, minSize, maxSize }: x and y are
+ * normalized image positions of the palm center as the user sees them in
+ * the mirrored preview (x grows to the user's right, y downward), sizes
+ * are hand sizes (wrist to middle knuckle) in image units.
+ */
+
+const InteractionBox = (function() {
+    // A global in the browser; required under Node
+    const math = typeof HandMath !== 'undefined' ? HandMath : require('./handMath.js');
+
+    // The middle of the frame (fingers leave it near the edges) from about
+    // 1.5 m away to about half a meter
+    const DEFAULT_BOX = Object.freeze({
+        minX: 0.15,
+        maxX: 0.85,
+        minY: 0.15,
+        maxY: 0.85,
+        minSize: 0.08,
+        maxSize: 0.2
+    });
+
+    const SETTINGS = Object.freeze({
+        percentile: 0.05,    // Share of calibration samples ignored at each edge
+        minSpan: 0.2,        // Smallest calibrated width / height (image units)
+        minDepthRatio: 1.3   // Smallest calibrated near / far size ratio
+    });
+
+    /**
+     * Palm center (viewer's orientation) and hand size
+     * @returns {Object|null} { x, y, size }, or null for a degenerate hand
+     */
+    function measure(landmarks) {
+        const size = math.calculateHandSize(landmarks);
+        if (!(size > 0.001)) return null;
+        const center = math.calculatePalmCenter(landmarks);
+        return { x: 1 - center.x, y: center.y, size: size };
+    }
+
+    function clamp01(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+
+    /**
+     * Position of the hand inside a box
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @param {Object} [box] - Defaults to DEFAULT_BOX
+     * @returns {Object|null} { x, y, z } from 0 to 1: x from the left edge,
+     *   y from the top edge and z from far (0) to near (1)
+     */
+    function normalize(landmarks, box = DEFAULT_BOX) {
+        const hand = measure(landmarks);
+        if (!hand) return null;
+
+        // Distance from the camera goes with 1 / size, so interpolate in
+        // that to move evenly with the hand
+        const far = 1 / box.minSize;
+        const near = 1 / box.maxSize;
+        return {
+            x: clamp01((hand.x - box.minX) / (box.maxX - box.minX)),
+            y: clamp01((hand.y - box.minY) / (box.maxY - box.minY)),
+            z: clamp01((far - 1 / hand.size) / (far - near))
+        };
+    }
+
+    /**
+     * Scale a normalized position into a demo's ranges
+     * @param {Object} position - { x, y, z } from normalize()
+     * @param {Object} [range] - { x: [from, to], y: [from, to], z: [from, to] };
+     *   an axis without a range stays 0 to 1. Swap from and to to flip an axis.
+     * @returns {Object} { x, y, z }
+     */
+    function map(position, range) {
+        const result = {};
+        for (const axis of ['x', 'y', 'z']) {
+            const [from, to] = (range && range[axis]) || [0, 1];
+            result[axis] = from + (to - from) * position[axis];
+        }
+        return result;
+    }
+
+    function percentile(sorted, fraction) {
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+    }
+
+    /**
+     * Fit a box to landmarks recorded while the user moved around the
+     * area they want to use
+     * @param {Array} landmarkSets - Raw landmarks, one set per frame
+     * @returns {Object|null} The box, or null if the hand barely moved
+     */
+    function fromSamples(landmarkSets) {
+        const hands = landmarkSets.map(measure).filter(Boolean);
+        if (hands.length === 0) return null;
+
+        const sorted = (key) => hands.map((hand) => hand[key]).sort((a, b) => a - b);
+        const xs = sorted('x');
+        const ys = sorted('y');
+        const sizes = sorted('size');
+        const low = SETTINGS.percentile;
+        const high = 1 - SETTINGS.percentile;
+
+        const box = {
+            minX: clamp01(percentile(xs, low)),
+            maxX: clamp01(percentile(xs, high)),
+            minY: clamp01(percentile(ys, low)),
+            maxY: clamp01(percentile(ys, high)),
+            minSize: percentile(sizes, low),
+            maxSize: percentile(sizes, high)
+        };
+        if (box.maxX - box.minX < SETTINGS.minSpan || box.maxY - box.minY < SETTINGS.minSpan) {
+            return null;
+        }
+
+        // Too little depth to tell near from far: widen it around the middle
+        if (box.maxSize / box.minSize < SETTINGS.minDepthRatio) {
+            const middle = Math.sqrt(box.minSize * box.maxSize);
+            const half = Math.sqrt(SETTINGS.minDepthRatio);
+            box.minSize = middle / half;
+            box.maxSize = middle * half;
+        }
+        return box;
+    }
+
+    function isValid(box) {
+        if (!box) return false;
+        const keys = ['minX', 'maxX', 'minY', 'maxY', 'minSize', 'maxSize'];
+        return keys.every((key) => typeof box[key] === 'number' && isFinite(box[key])) &&
+            box.minX < box.maxX && box.minY < box.maxY &&
+            box.minSize > 0 && box.minSize < box.maxSize;
+    }
+
+    // Public API
+    return {
+        DEFAULT_BOX: DEFAULT_BOX,
+        SETTINGS: SETTINGS,
+        measure: measure,
+        normalize: normalize,
+        map: map,
+        fromSamples: fromSamples,
+        isValid: isValid
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InteractionBox;
+} else {
+    window.InteractionBox = InteractionBox;
+}
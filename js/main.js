@@ -11,9 +11,87 @@
         'chess': ChessDemo
     };
 
+    const CAMERA_STORAGE_KEY = 'handDemos.camera';
+
+    // Hand navigation: an open palm held on the focused card launches it,
+    // and the menu gesture held in a demo goes back. Not a fist - fists
+    // grab chess pieces and close the prism.
+    const LAUNCH_HOLD_MS = 1500;
+    const MENU_GESTURE = HandTracking.GESTURES.THUMBS_UP;
+    const MENU_HOLD_MS = 2000;
+
+    // What to tell the user for each HandErrors code
+    const ERROR_GUIDANCE = {
+        'permission-denied': {
+            title: 'Camera access is blocked',
+            steps: [
+                'Click the camera icon in the address bar and allow access',
+                'Make sure your system privacy settings let this browser use the camera'
+            ]
+        },
+        'no-device': {
+            title: 'No camera found',
+            steps: [
+                'Connect a webcam',
+                'If you picked a camera on the menu, plug it in or switch back to Default'
+            ]
+        },
+        'device-busy': {
+            title: 'The camera is in use',
+            steps: [
+                'Close video calls and other tabs or apps using the camera',
+                'Unplug and reconnect an external webcam'
+            ]
+        },
+        'model-load-failed': {
+            title: 'Hand tracking failed to load',
+            steps: [
+                'Check your network connection',
+                'Offline? Serve a local copy of the assets with ?assets=vendor/ (see README)'
+            ]
+        },
+        'unsupported-browser': {
+            title: 'This browser can\'t run hand tracking',
+            steps: [
+                'Open the page over HTTPS or from localhost',
+                'Use a recent version of Chrome, Edge, Firefox or Safari'
+            ]
+        },
+        'camera-disconnected': {
+            title: 'Camera disconnected',
+            steps: [
+                'Plug the camera back in - tracking resumes automatically'
+            ]
+        }
+    };
+
+    // For recordings that can't be loaded or played, which have no error code
+    const REPLAY_GUIDANCE = {
+        title: 'The recording could not be replayed',
+        steps: [
+            'Check the ?replay= path, or drop the file onto the page',
+            'Record a new session with R in any demo'
+        ]
+    };
+
     // Current state
     let currentDemo = null;
+    let currentDemoId = null;
+    let currentOptions = {};
     let handTrackingInitialized = false;
+    let handTrackingStart = null;
+    let inputSourceName = 'camera';
+    let useWorkerInference = false;
+    let urlConfig = {};
+    let retryAction = null;
+    let shownErrorCode = null;
+
+    // Hand navigation state
+    let focusedCard = null;
+    let pointedCard = null;   // Card under the hand cursor last frame
+    let heldGesture = null;
+    let heldSince = 0;
+    let launchArmed = true;   // False until the palm that left a demo is released
 
     // DOM elements
     const menuScreen = document.getElementById('menu-screen');
@@ -23,6 +101,7 @@
     const loadingText = document.querySelector('.loader p');
     const backButton = document.getElementById('back-button');
     const webcamPreview = document.getElementById('webcam-preview');
+    const previewLabel = document.querySelector('#webcam-preview .preview-label');
     const opennessIndicator = document.getElementById('openness-indicator');
     const instructions = document.getElementById('instructions');
     const instructionsText = document.getElementById('instructions-text');
@@ -31,6 +110,24 @@
     const cameraToggle = document.getElementById('camera-toggle');
     const cameraIconOn = document.getElementById('camera-icon-on');
     const cameraIconOff = document.getElementById('camera-icon-off');
+    const profileSelect = document.getElementById('profile-select');
+    const calibrateButton = document.getElementById('calibrate-button');
+    const gestureSelect = document.getElementById('gesture-select');
+    const trainGestureButton = document.getElementById('train-gesture-button');
+    const deleteGestureButton = document.getElementById('delete-gesture-button');
+    const exportGesturesButton = document.getElementById('export-gestures-button');
+    const importGesturesButton = document.getElementById('import-gestures-button');
+    const importGesturesInput = document.getElementById('import-gestures-input');
+    const recenterButton = document.getElementById('recenter-button');
+    const cameraSelect = document.getElementById('camera-select');
+    const resolutionSelect = document.getElementById('resolution-select');
+    const mirrorToggle = document.getElementById('mirror-toggle');
+    const errorPanel = document.getElementById('error-panel');
+    const errorTitle = document.getElementById('error-title');
+    const errorMessage = document.getElementById('error-message');
+    const errorGuidance = document.getElementById('error-guidance');
+    const errorRetryButton = document.getElementById('error-retry-button');
+    const errorMenuButton = document.getElementById('error-menu-button');
 
     // Demo cards
     const demoCards = document.querySelectorAll('.demo-card');
@@ -50,18 +147,195 @@
         // Setup back button
         backButton.addEventListener('click', returnToMenu);
 
-        // Setup keyboard shortcut
+        // Setup error panel
+        errorRetryButton.addEventListener('click', () => {
+            const retry = retryAction;
+            hideError();
+            if (retry) retry();
+        });
+        errorMenuButton.addEventListener('click', () => {
+            hideError();
+            returnToMenu();
+        });
+
+        // Setup keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Typing a profile or gesture name isn't a shortcut
+            if (isEditable(e.target)) return;
+
             if (e.key === 'Escape' && currentDemo) {
                 returnToMenu();
+            } else if ((e.key === 'r' || e.key === 'R') && handTrackingInitialized) {
+                toggleRecording();
+            } else if ((e.key === 'p' || e.key === 'P') && HandTracking.isReplaying()) {
+                HandTracking.stopReplay();
+            } else if (e.key === 'd' || e.key === 'D') {
+                HandDiagnostics.toggle();
             }
         });
 
+        // Drop a recorded session anywhere to replay it
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                const text = await file.text();
+                replayRecording(text).catch((error) => {
+                    console.error('Failed to replay recording:', error);
+                    showError(error, null, REPLAY_GUIDANCE);
+                });
+            }
+        });
+
+        // ?replay=path/to/session.ndjson runs on a recording without a camera
+        const params = new URLSearchParams(window.location.search);
+        const replayUrl = params.get('replay');
+        if (!replayUrl && params.get('source')) {
+            // ?source=mouse drives the demos with the mouse hand emulator
+            inputSourceName = params.get('source');
+        }
+
+        // ?worker=1 runs hand inference in a Web Worker
+        useWorkerInference = params.get('worker') === '1';
+
+        // Tracking options from the URL (e.g. ?minDetectionConfidence=0.5) override every demo's
+        try {
+            urlConfig = HandTracking.parseConfig(window.location.search);
+            HandTracking.configure(urlConfig);
+        } catch (error) {
+            console.error('Ignoring tracking options from the URL:', error);
+            urlConfig = {};
+            HandTracking.resetConfig();
+        }
+
+        // ?diagnostics=1 shows the tracking diagnostics HUD (also the D key)
+        if (params.get('diagnostics') === '1') {
+            HandDiagnostics.show();
+        }
+
+        // Setup camera choice (switches the running camera in place)
+        setupCameraSettings();
+
+        // Setup calibration profiles
+        HandTracking.setCalibration(HandCalibration.getActiveProfile());
+        renderProfileOptions();
+
+        profileSelect.addEventListener('change', () => {
+            const profile = HandCalibration.setActiveProfile(profileSelect.value || null);
+            HandTracking.setCalibration(profile);
+        });
+
+        calibrateButton.addEventListener('click', startCalibration);
+
+        // Setup trained gestures
+        loadCustomGestures();
+
+        trainGestureButton.addEventListener('click', startGestureTraining);
+        deleteGestureButton.addEventListener('click', () => {
+            if (!gestureSelect.value) return;
+            GestureTraining.deleteTemplate(gestureSelect.value);
+            loadCustomGestures();
+        });
+        exportGesturesButton.addEventListener('click', () => GestureTraining.exportTemplates());
+        importGesturesButton.addEventListener('click', () => importGesturesInput.click());
+        importGesturesInput.addEventListener('change', async () => {
+            const file = importGesturesInput.files[0];
+            importGesturesInput.value = '';
+            if (!file) return;
+            try {
+                const names = GestureTraining.importTemplates(await file.text());
+                loadCustomGestures(names[0]);
+            } catch (error) {
+                console.error('Failed to import gestures:', error);
+            }
+        });
+
+        // The menu can be used with the hand cursor once tracking runs
+        HandCursor.enable();
+
+        // Recenter rotation on the current hand pose (button or OK sign)
+        recenterButton.addEventListener('click', recenter);
+
         // Setup camera toggle
         cameraToggle.addEventListener('click', () => {
             const showCamera = HandTracking.toggleCameraFeed();
             updateCameraToggleIcon(showCamera);
         });
+
+        // Back / forward move between the menu and demos
+        window.addEventListener('popstate', () => applyRoute(parseRoute(window.location.hash)));
+
+        // Open the demo a link points at (e.g. #/chess?difficulty=6), else
+        // track from the start so the menu works by hand (a ?replay=
+        // recording starts tracking itself)
+        const route = parseRoute(window.location.hash);
+        if (replayUrl) {
+            await loadReplay(replayUrl);
+        }
+        if (route.demoId) {
+            applyRoute(route);
+        } else if (!replayUrl) {
+            startMenuTracking();
+        }
+    }
+
+    /**
+     * Read a location hash: #/<demo>?<option>=<value>&...
+     * @returns {Object} { demoId (null for the menu), options }
+     */
+    function parseRoute(hash) {
+        const [path, query] = hash.replace(/^#\/?/, '').split('?');
+        const options = {};
+        new URLSearchParams(query || '').forEach((value, key) => {
+            options[key] = value;
+        });
+        return { demoId: path || null, options: options };
+    }
+
+    function formatRoute(demoId, options) {
+        if (!demoId) return '';
+        const query = new URLSearchParams(options || {}).toString();
+        return `#/${demoId}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Point the URL at a demo (or the menu for null) unless it already
+     * does; `replace` updates the current history entry instead of adding one
+     */
+    function setRoute(demoId, options, replace) {
+        const hash = formatRoute(demoId, options);
+        const current = parseRoute(window.location.hash);
+        if (hash === formatRoute(current.demoId, current.options)) return;
+
+        // Leave the query (source, replay and tracking options) alone
+        const url = hash || window.location.pathname + window.location.search;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Show what a route names, switching demos through destroy / init
+     */
+    function applyRoute(route) {
+        if (route.demoId && !demos[route.demoId]) {
+            console.warn('Unknown demo in the URL:', route.demoId);
+            setRoute(null, null, true);
+            route = { demoId: null, options: {} };
+        }
+
+        const target = formatRoute(route.demoId, route.options);
+        if (target === formatRoute(currentDemoId, currentOptions)) return;
+
+        if (currentDemo) {
+            showMenu();
+        }
+        if (route.demoId) {
+            launchDemo(route.demoId, route.options);
+        }
     }
 
     /**
@@ -80,43 +354,518 @@
     }
 
     /**
-     * Initialize hand tracking (only once)
+     * Capture the current hand orientation as level
+     */
+    function recenter() {
+        if (!HandTracking.captureNeutral()) return;
+
+        previewLabel.textContent = 'Recentered';
+        setTimeout(updatePreviewLabel, 1000);
+    }
+
+    /**
+     * Restore saved camera settings and wire up the camera controls
+     */
+    function setupCameraSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY));
+            if (saved) {
+                HandTracking.setCameraSettings(saved).catch((error) => {
+                    console.warn('Ignoring saved camera settings:', error);
+                });
+            }
+        } catch (error) {
+            console.warn('Ignoring saved camera settings:', error);
+        }
+        renderCameraSettings();
+
+        cameraSelect.addEventListener('change', () => {
+            applyCameraSettings({ deviceId: cameraSelect.value || null });
+        });
+        resolutionSelect.addEventListener('change', () => {
+            const [size, frameRate] = resolutionSelect.value.split('@');
+            const [width, height] = size.split('x').map(Number);
+            applyCameraSettings({ width, height, frameRate: Number(frameRate) });
+        });
+        mirrorToggle.addEventListener('change', () => {
+            applyCameraSettings({ mirrored: mirrorToggle.checked });
+        });
+
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', renderCameraOptions);
+        }
+    }
+
+    /**
+     * Show the current camera settings in the camera controls
+     */
+    function renderCameraSettings() {
+        const settings = HandTracking.getCameraSettings();
+        const resolution = `${settings.width}x${settings.height}@${settings.frameRate}`;
+        if (!Array.from(resolutionSelect.options).some((option) => option.value === resolution)) {
+            resolutionSelect.appendChild(new Option(`${settings.width}×${settings.height} · ${settings.frameRate} fps`, resolution));
+        }
+        resolutionSelect.value = resolution;
+        mirrorToggle.checked = settings.mirrored;
+        renderCameraOptions();
+    }
+
+    /**
+     * Fill the camera selector (labels appear once permission is granted)
+     */
+    async function renderCameraOptions() {
+        const cameras = (await HandTracking.getCameras()).filter((camera) => camera.deviceId);
+        const selected = HandTracking.getCameraSettings().deviceId;
+
+        cameraSelect.innerHTML = '';
+        cameraSelect.appendChild(new Option('Default', ''));
+        cameras.forEach((camera) => {
+            cameraSelect.appendChild(new Option(camera.label, camera.deviceId));
+        });
+        cameraSelect.value = cameras.some((camera) => camera.deviceId === selected) ? selected : '';
+    }
+
+    async function applyCameraSettings(settings) {
+        const previous = HandTracking.getCameraSettings();
+        try {
+            await HandTracking.setCameraSettings(settings);
+        } catch (error) {
+            console.error('Failed to switch camera:', error);
+
+            // Go back to the camera that worked; only working settings are saved.
+            // Retry tries the new settings again, or restarts the old
+            // camera if it didn't come back either.
+            let retry = () => applyCameraSettings(settings);
+            try {
+                await HandTracking.setCameraSettings(previous);
+            } catch (restoreError) {
+                console.error('Failed to restore the previous camera:', restoreError);
+                retry = restartTracking;
+            }
+            renderCameraSettings();
+            showError(error, retry);
+            return;
+        }
+        localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(HandTracking.getCameraSettings()));
+    }
+
+    /**
+     * Fill the profile selector from stored calibration profiles
+     */
+    function renderProfileOptions() {
+        const active = HandCalibration.getActiveProfile();
+        profileSelect.innerHTML = '';
+        profileSelect.appendChild(new Option('Default', ''));
+        HandCalibration.getProfileNames().forEach((name) => {
+            profileSelect.appendChild(new Option(name, name));
+        });
+        profileSelect.value = active ? active.name : '';
+    }
+
+    /**
+     * Start hand tracking on the menu and show the preview
+     * @param {Function} [retry] - Run by the error panel's Retry button
+     * @returns {Promise<boolean>} Whether tracking is running
+     */
+    async function startMenuTracking(retry = startMenuTracking) {
+        loadingOverlay.classList.remove('hidden');
+        loadingText.textContent = 'Initializing hand detection...';
+
+        try {
+            await initializeHandTracking({ source: inputSourceName });
+        } catch (error) {
+            console.error('Failed to start hand tracking:', error);
+            loadingOverlay.classList.add('hidden');
+            showError(error, retry);
+            return false;
+        }
+
+        loadingOverlay.classList.add('hidden');
+        webcamPreview.classList.remove('hidden');
+        return true;
+    }
+
+    /**
+     * Run the calibration wizard from the menu
+     */
+    async function startCalibration() {
+        if (!await startMenuTracking(startCalibration)) return;
+
+        const profile = await HandCalibration.run();
+        if (profile) {
+            HandTracking.setCalibration(profile);
+            renderProfileOptions();
+        }
+    }
+
+    /**
+     * Apply the stored gesture templates and list them
+     * @param {string} [selected] - Template to select in the list
+     */
+    function loadCustomGestures(selected) {
+        const names = GestureTraining.getTemplateNames();
+        try {
+            HandTracking.setCustomGestures(GestureTraining.getTemplates());
+        } catch (error) {
+            console.error('Ignoring unusable gesture templates:', error);
+            HandTracking.setCustomGestures(null);
+        }
+
+        gestureSelect.innerHTML = '';
+        if (names.length === 0) {
+            gestureSelect.appendChild(new Option('None', ''));
+        }
+        names.forEach((name) => {
+            gestureSelect.appendChild(new Option(name, name));
+        });
+        if (selected) gestureSelect.value = selected;
+        deleteGestureButton.disabled = names.length === 0;
+        exportGesturesButton.disabled = names.length === 0;
+    }
+
+    /**
+     * Run the gesture training wizard from the menu
+     */
+    async function startGestureTraining() {
+        if (!await startMenuTracking(startGestureTraining)) return;
+
+        const template = await GestureTraining.run();
+        if (template) {
+            loadCustomGestures(template.name);
+        }
+    }
+
+    /**
+     * Briefly name a recognized trained gesture on the preview
+     */
+    function showCustomGesture(name) {
+        previewLabel.textContent = `Gesture: ${name}`;
+        setTimeout(updatePreviewLabel, 1000);
+    }
+
+    /**
+     * Start or stop recording; stopping downloads the session
+     */
+    function toggleRecording() {
+        if (HandTracking.isRecording()) {
+            const session = HandTracking.stopRecording();
+            HandRecorder.download(session);
+        } else {
+            HandTracking.startRecording({ demo: currentDemoId });
+        }
+        updatePreviewLabel();
+    }
+
+    /**
+     * Replay a recorded session (JSON or NDJSON text) in a loop. Rejects
+     * if the text isn't a recording or tracking can't start.
      */
-    async function initializeHandTracking() {
-        if (handTrackingInitialized) return;
+    async function replayRecording(text) {
+        // Parse first, so a bad file doesn't start tracking without a source
+        const session = HandRecorder.parse(text);
+
+        // No camera needed when a recording drives the demos
+        if (!handTrackingInitialized) {
+            await initializeHandTracking({ source: 'none' });
+        }
+        HandTracking.startReplay(session, { loop: true }).then(updatePreviewLabel, (error) => {
+            console.error('Failed to replay recording:', error);
+            updatePreviewLabel();
+            showError(error, restartTracking, REPLAY_GUIDANCE);
+        });
+        updatePreviewLabel();
+    }
 
+    /**
+     * Replay the recording at a URL (?replay=). If it can't be loaded,
+     * track the usual input source instead so the menu still works, and
+     * offer to try the recording again.
+     */
+    async function loadReplay(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not load ${url} (${response.status} ${response.statusText})`);
+            }
+            await replayRecording(await response.text());
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            if (await startMenuTracking()) {
+                showError(error, () => loadReplay(url), REPLAY_GUIDANCE);
+            }
+        }
+    }
+
+    /**
+     * Show the error panel with guidance for the error's code
+     * @param {Error} error - Usually from HandErrors
+     * @param {Function} retry - Run by the Retry button
+     * @param {Object} [guidance] - { title, steps }, instead of the code's
+     */
+    function showError(error, retry, guidance = ERROR_GUIDANCE[error.code]) {
+        guidance = guidance || {
+            title: 'Hand tracking stopped',
+            steps: ['Reload the page if retrying doesn\'t help']
+        };
+
+        errorTitle.textContent = guidance.title;
+        errorMessage.textContent = error.message;
+        errorGuidance.innerHTML = '';
+        guidance.steps.forEach((step) => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            errorGuidance.appendChild(item);
+        });
+
+        retryAction = retry;
+        errorRetryButton.classList.toggle('hidden', !retry);
+        shownErrorCode = error.code || null;
+        errorPanel.classList.remove('hidden');
+    }
+
+    function hideError() {
+        errorPanel.classList.add('hidden');
+        retryAction = null;
+        shownErrorCode = null;
+    }
+
+    /**
+     * Restart the current input source (Retry after a camera failure)
+     */
+    async function restartTracking() {
+        try {
+            await HandTracking.setInputSource(inputSourceName);
+        } catch (error) {
+            showError(error, restartTracking);
+        }
+    }
+
+    /**
+     * Show recording / replay state on the preview
+     */
+    function updatePreviewLabel() {
+        const recording = HandTracking.isRecording();
+        const replaying = HandTracking.isReplaying();
+        webcamPreview.classList.toggle('recording', recording);
+        if (recording) {
+            previewLabel.textContent = 'Recording (R to stop)';
+        } else if (replaying) {
+            previewLabel.textContent = 'Replay (P to stop)';
+        } else {
+            previewLabel.textContent = 'Hand Tracking';
+        }
+    }
+
+    /**
+     * Initialize hand tracking (only once; later calls wait for the first)
+     */
+    function initializeHandTracking(options) {
+        if (!handTrackingStart) {
+            handTrackingStart = startHandTracking(options).catch((error) => {
+                handTrackingStart = null; // Let a retry start over
+                throw error;
+            });
+        }
+        return handTrackingStart;
+    }
+
+    async function startHandTracking(options) {
         const webcamVideo = document.getElementById('webcam');
         const previewCanvas = document.getElementById('preview-canvas');
 
-        await HandTracking.init(webcamVideo, previewCanvas);
+        await HandTracking.init(webcamVideo, previewCanvas, Object.assign({ worker: useWorkerInference }, options));
         handTrackingInitialized = true;
+        renderCameraOptions();
 
-        // Setup UI update callback
-        HandTracking.setOnHandUpdate((data) => {
+        // Setup UI update listeners
+        HandTracking.on('handupdate', (data) => {
             if (indicatorFill) {
                 indicatorFill.style.height = `${data.openness * 100}%`;
             }
             if (instructions) {
                 instructions.style.opacity = '0.3';
             }
+            updateHandNavigation();
         });
 
-        HandTracking.setOnHandLost(() => {
-            if (instructions) {
+        HandTracking.on('handlost', () => {
+            if (instructions && !HandTracking.isDetected()) {
                 instructions.style.opacity = '0.8';
             }
+            if (!HandTracking.isDetected()) {
+                resetHold();
+                launchArmed = true;
+            }
         });
+
+        // A camera unplugged mid-demo reconnects by itself
+        HandTracking.on('error', (error) => {
+            if (error.code === HandTracking.ERRORS.CAMERA_DISCONNECTED) {
+                showError(error, restartTracking);
+            }
+        });
+
+        HandTracking.on('gesture', (event) => {
+            if (event.custom && event.phase === 'start') showCustomGesture(event.gesture);
+        });
+
+        HandTracking.on('motion', (event) => {
+            if (event.custom) showCustomGesture(event.motion);
+        });
+
+        HandTracking.on('recovered', () => {
+            if (shownErrorCode === HandTracking.ERRORS.CAMERA_DISCONNECTED) {
+                hideError();
+            }
+        });
+
+        // Swipe left with an open palm to leave a demo; on the menu,
+        // swipes move between the cards
+        HandTracking.onMotion(HandTracking.MOTIONS.SWIPE_LEFT, (event) => {
+            if (currentDemo) {
+                if (event.gesture === HandTracking.GESTURES.OPEN_PALM) returnToMenu();
+            } else if (isMenuActive()) {
+                moveFocus(-1);
+            }
+        });
+
+        HandTracking.onMotion(HandTracking.MOTIONS.SWIPE_RIGHT, () => {
+            if (isMenuActive()) moveFocus(1);
+        });
+
+        // Pinching launches the focused card, unless the hand cursor is
+        // over another control - then the cursor clicks that instead. The
+        // cursor never clicks the cards (data-hand-no-click), so launching
+        // stays here.
+        HandTracking.onGestureStart(HandTracking.GESTURES.PINCH, (event) => {
+            const hovered = HandCursor.getHovered();
+            if (hovered && !hovered.classList.contains('demo-card')) return;
+            if (event.isPrimary && isMenuActive() && focusedCard) {
+                launchDemo(focusedCard.dataset.demo);
+            }
+        });
+
+        HandTracking.onGestureStart(HandTracking.GESTURES.OK, (event) => {
+            if (currentDemo && event.isPrimary) {
+                recenter();
+            }
+        });
+    }
+
+    function isEditable(element) {
+        return !!element && (element.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+    }
+
+    /**
+     * Cards that can be launched, in menu order
+     */
+    function getLaunchableCards() {
+        return Array.from(demoCards).filter((card) => !card.classList.contains('disabled'));
+    }
+
+    function focusCard(card) {
+        if (card === focusedCard) return;
+        setHoldProgress(focusedCard, 0);
+        if (focusedCard) focusedCard.classList.remove('hand-focus');
+        focusedCard = card;
+        if (focusedCard) focusedCard.classList.add('hand-focus');
+        heldSince = performance.now(); // Holding starts over on the new card
+    }
+
+    /**
+     * Focus the next (1) or previous (-1) card, wrapping around
+     */
+    function moveFocus(step) {
+        const cards = getLaunchableCards();
+        if (cards.length === 0) return;
+
+        const index = cards.indexOf(focusedCard);
+        const next = index === -1
+            ? (step > 0 ? 0 : cards.length - 1)
+            : (index + step + cards.length) % cards.length;
+        focusCard(cards[next]);
+    }
+
+    /**
+     * Whether the menu is showing with no wizard, error or loading screen over it
+     */
+    function isMenuActive() {
+        return !currentDemo && !menuScreen.classList.contains('hidden') &&
+            loadingOverlay.classList.contains('hidden') && errorPanel.classList.contains('hidden') &&
+            !document.getElementById('calibration-overlay') && !document.getElementById('training-overlay');
+    }
+
+    /**
+     * Fill an element's hold indicator (the --hold custom property, 0-1)
+     */
+    function setHoldProgress(element, progress) {
+        if (!element) return;
+        if (progress > 0) {
+            element.style.setProperty('--hold', Math.min(1, progress));
+        } else {
+            element.style.removeProperty('--hold');
+        }
+    }
+
+    function resetHold() {
+        heldGesture = null;
+        setHoldProgress(focusedCard, 0);
+        setHoldProgress(backButton, 0);
+    }
+
+    /**
+     * Per-frame hand navigation: pointing the hand cursor at a card focuses
+     * it, an open palm held on the focused card launches it, and the menu
+     * gesture held in a demo returns to the menu
+     */
+    function updateHandNavigation() {
+        const now = performance.now();
+        const gesture = HandTracking.getGesture();
+        if (gesture !== heldGesture) {
+            heldGesture = gesture;
+            heldSince = now;
+        }
+
+        if (currentDemo) {
+            const progress = gesture === MENU_GESTURE ? (now - heldSince) / MENU_HOLD_MS : 0;
+            setHoldProgress(backButton, progress);
+            if (progress >= 1) returnToMenu();
+            return;
+        }
+        if (!isMenuActive()) return;
+
+        // Only a newly pointed-at card takes focus, so swipes aren't undone
+        // by the cursor resting on another card
+        const hovered = HandCursor.getHovered();
+        const card = hovered && hovered.classList.contains('demo-card') ? hovered : null;
+        if (card !== pointedCard) {
+            pointedCard = card;
+            if (card) focusCard(card);
+        }
+
+        // The open palm that swiped out of a demo must close once before it
+        // can launch again, or it would relaunch the card it just left
+        if (gesture !== HandTracking.GESTURES.OPEN_PALM) launchArmed = true;
+        const progress = launchArmed && focusedCard && gesture === HandTracking.GESTURES.OPEN_PALM
+            ? (now - heldSince) / LAUNCH_HOLD_MS
+            : 0;
+        setHoldProgress(focusedCard, progress);
+        if (progress >= 1) launchDemo(focusedCard.dataset.demo);
     }
 
     /**
      * Launch a demo
+     * @param {string} demoId
+     * @param {Object} [options] - Demo options from the URL, e.g. { difficulty: '6' }
      */
-    async function launchDemo(demoId) {
+    async function launchDemo(demoId, options = {}) {
         const Demo = demos[demoId];
         if (!Demo) {
             console.error('Unknown demo:', demoId);
             return;
         }
+        resetHold();
 
         // Show loading
         loadingOverlay.classList.remove('hidden');
@@ -126,7 +875,7 @@
             // Initialize hand tracking if needed
             if (!handTrackingInitialized) {
                 loadingText.textContent = 'Initializing hand detection...';
-                await initializeHandTracking();
+                await initializeHandTracking({ source: inputSourceName });
             }
 
             // Hide menu, show demo container
@@ -141,33 +890,93 @@
             // Update instructions based on demo
             updateInstructions(demoId);
 
-            // Initialize the demo
+            // Apply the demo's preferred tracking options, smoothing and rotation response
+            applyTrackingOptions(Demo);
+
+            // Keep the hand cursor only for demos with HTML controls
+            if (!Demo.handCursor) {
+                HandCursor.disable();
+            }
+
+            // Initialize the demo; its hand tracking listeners go when it is destroyed
             currentDemo = Demo;
-            Demo.init(canvasContainer);
+            currentDemoId = demoId;
+            currentOptions = Object.assign({}, options);
+            HandTracking.beginListenerScope(demoId);
+            Demo.init(canvasContainer, createDemoRoute(demoId));
+            setRoute(demoId, currentOptions);
 
             // Hide loading
             loadingOverlay.classList.add('hidden');
 
         } catch (error) {
             console.error('Failed to launch demo:', error);
-            loadingText.textContent = 'Failed to initialize. Please allow camera access.';
-            
-            // Show retry option
-            setTimeout(() => {
-                returnToMenu();
-            }, 3000);
+            loadingOverlay.classList.add('hidden');
+            showError(error, () => launchDemo(demoId, options));
         }
     }
 
+    /**
+     * What a demo gets to read and update its options in the URL:
+     * { options, update(changed) }. Updates replace the history entry, so
+     * moving a slider doesn't fill the back button's list.
+     */
+    function createDemoRoute(demoId) {
+        return {
+            options: Object.assign({}, currentOptions),
+            update(changed) {
+                if (currentDemoId !== demoId) return; // Left already
+                currentOptions = Object.assign({}, currentOptions, changed);
+                setRoute(demoId, currentOptions, true);
+            }
+        };
+    }
+
+    /**
+     * Apply a demo's `config`, `filters` and `rotationResponse` (the defaults
+     * for null). Options from the URL win so experiments apply everywhere.
+     */
+    function applyTrackingOptions(Demo) {
+        HandTracking.resetConfig();
+        HandTracking.resetRotationResponse();
+        if (Demo && Demo.filters) {
+            HandTracking.setFilters(Demo.filters);
+        }
+        if (Demo && Demo.rotationResponse) {
+            HandTracking.setRotationResponse(Demo.rotationResponse);
+        }
+        HandTracking.configure(Object.assign({}, Demo && Demo.config, urlConfig));
+    }
+
     /**
      * Return to the menu
      */
     function returnToMenu() {
+        showMenu();
+        setRoute(null);
+    }
+
+    /**
+     * Destroy the current demo and show the menu, leaving the URL alone
+     */
+    function showMenu() {
+        // Focus the card of the demo being left
+        if (currentDemoId) {
+            focusCard(document.querySelector(`.demo-card[data-demo="${currentDemoId}"]`));
+            launchArmed = false;
+        }
+        resetHold();
+
         // Destroy current demo
         if (currentDemo) {
             currentDemo.destroy();
+            HandTracking.endListenerScope();
             currentDemo = null;
+            currentDemoId = null;
+            currentOptions = {};
+            applyTrackingOptions(null);
         }
+        HandCursor.enable();
 
         // Clear canvas container
         canvasContainer.innerHTML = '';
@@ -176,7 +985,7 @@
         menuScreen.classList.remove('hidden');
         demoContainer.classList.add('hidden');
         backButton.classList.add('hidden');
-        webcamPreview.classList.add('hidden');
+        webcamPreview.classList.toggle('hidden', !handTrackingInitialized);
         document.body.classList.remove('in-demo');
         opennessIndicator.classList.add('hidden');
         instructions.classList.add('hidden');
@@ -190,15 +999,15 @@
         switch (demoId) {
             case 'cosmic-prism':
                 instructionsText.textContent = 'Show your hand to the camera';
-                instructionsSub.textContent = 'Open/close your hand to control the explosion';
+                instructionsSub.textContent = 'Open/close your hand to control the explosion - draw a circle to change shape - pinch with both hands to resize';
                 break;
             case 'airplane':
                 instructionsText.textContent = 'Hold palm facing camera';
-                instructionsSub.textContent = 'Tilt hand to steer the airplane';
+                instructionsSub.textContent = 'Tilt hand to steer the airplane - OK sign to recenter';
                 break;
             case 'chess':
                 instructionsText.textContent = 'Use your hand to play';
-                instructionsSub.textContent = 'Close fist to grab, open to drop pieces';
+                instructionsSub.textContent = 'Close fist to grab, open to drop pieces - wave to start over - pinch with both hands to turn the board';
                 break;
             default:
                 instructionsText.textContent = 'Show your hand to the camera';
@@ -0,0 +1,142 @@
+/**
+ * Two-Hand Transform
+ * Pinch-zoom, twist and pan from two hands at once: while both hands hold
+ * an engaging gesture (pinch by default), the change in distance between
+ * them is a scale, the turn of the line between them is a twist and the
+ * travel of their midpoint is a pan, all relative to when both engaged.
+ *
+ * Positions are in normalized image units as the user sees them in the
+ * mirrored preview: x grows to the user's right, y downward.
+ */
+
+const TwoHandTransform = (function() {
+    // A global in the browser; required under Node
+    const math = typeof HandMath !== 'undefined' ? HandMath : require('./handMath.js');
+
+    const SETTINGS = Object.freeze({
+        gestures: Object.freeze([math.GESTURES.PINCH]), // Both hands must hold one of these
+        minDistance: 0.05  // Hands closer than this (image units) give no stable angle
+    });
+
+    /**
+     * Midpoint, distance and angle between two palm centers
+     * @param {Object} a - { x, y } image position of the first hand
+     * @param {Object} b - { x, y } image position of the second hand
+     * @returns {Object} { center: { x, y }, distance, angle } in the viewer's orientation
+     */
+    function measure(a, b) {
+        const ax = 1 - a.x;
+        const bx = 1 - b.x;
+        const dx = bx - ax;
+        const dy = b.y - a.y;
+        return {
+            center: { x: (ax + bx) / 2, y: (a.y + b.y) / 2 },
+            distance: Math.hypot(dx, dy),
+            angle: Math.atan2(dy, dx)
+        };
+    }
+
+    function wrapAngle(angle) {
+        if (angle > Math.PI) return angle - 2 * Math.PI;
+        if (angle < -Math.PI) return angle + 2 * Math.PI;
+        return angle;
+    }
+
+    /**
+     * Follows one pair of hands. Feed it the engaged pair every results
+     * frame (or null when there is none); it returns a transform event
+     * when one starts, changes or ends, else null.
+     *
+     * Events are { phase: 'start' | 'update' | 'end', handIds, scale,
+     * rotation, pan: { x, y }, center, distance, angle, duration }: scale
+     * is the distance relative to the start, rotation the twist since the
+     * start in radians (clockwise as the user sees it is positive, and it
+     * keeps counting past half a turn) and pan the midpoint's travel.
+     */
+    function createTracker() {
+        let active = null;
+
+        function toEvent(phase, time) {
+            return {
+                phase: phase,
+                handIds: active.handIds.slice(),
+                scale: active.distance / active.startDistance,
+                rotation: active.rotation,
+                pan: {
+                    x: active.center.x - active.startCenter.x,
+                    y: active.center.y - active.startCenter.y
+                },
+                center: Object.assign({}, active.center),
+                distance: active.distance,
+                angle: active.angle,
+                duration: time - active.startTime
+            };
+        }
+
+        return {
+            /**
+             * @param {Object|null} pair - { ids: [first, second], centers: [{ x, y }, { x, y }] }
+             * @param {number} time - ms
+             */
+            update(pair, time) {
+                const samePair = active && pair &&
+                    pair.ids[0] === active.handIds[0] && pair.ids[1] === active.handIds[1];
+
+                // A different or no pair ends the current transform
+                if (active && !samePair) {
+                    const event = toEvent('end', time);
+                    active = null;
+                    return event;
+                }
+                if (!pair) return null;
+
+                const measured = measure(pair.centers[0], pair.centers[1]);
+                if (!active) {
+                    if (measured.distance < SETTINGS.minDistance) return null;
+                    active = {
+                        handIds: pair.ids.slice(),
+                        startTime: time,
+                        startDistance: measured.distance,
+                        startCenter: measured.center,
+                        rotation: 0,
+                        distance: measured.distance,
+                        center: measured.center,
+                        angle: measured.angle
+                    };
+                    return toEvent('start', time);
+                }
+
+                // Hands passing close together make the angle jump, so hold it there
+                if (measured.distance >= SETTINGS.minDistance) {
+                    active.rotation += wrapAngle(measured.angle - active.angle);
+                    active.angle = measured.angle;
+                }
+                active.distance = Math.max(measured.distance, SETTINGS.minDistance);
+                active.center = measured.center;
+                return toEvent('update', time);
+            },
+            /**
+             * The current transform ({ phase: 'update', ... }), or null
+             */
+            current(time) {
+                return active ? toEvent('update', time) : null;
+            },
+            reset() {
+                active = null;
+            }
+        };
+    }
+
+    // Public API
+    return {
+        SETTINGS: SETTINGS,
+        measure: measure,
+        createTracker: createTracker
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TwoHandTransform;
+} else {
+    window.TwoHandTransform = TwoHandTransform;
+}
@@ -0,0 +1,45 @@
+#!/bin/sh
+# Download Three.js, chess.js and the MediaPipe libraries, wasm and model
+# files into vendor/ so the demos run without network access. Serve the
+# page with ?assets=vendor/ (or set data-asset-base="vendor/" on the
+# assets.js script tag in index.html). Versions match js/assets.js.
+set -e
+
+cd "$(dirname "$0")/.."
+VENDOR=vendor
+REGISTRY=https://registry.npmjs.org
+TMP=$(mktemp -d)
+trap 'rm -rf "$TMP"' EXIT
+
+# fetch_package <name> <version> <destination> [files...]
+# Unpacks an npm tarball and copies the listed files (default: everything).
+fetch_package() {
+    name=$1
+    version=$2
+    dest=$VENDOR/$3
+    shift 3
+
+    echo "Fetching $name@$version"
+    mkdir -p "$TMP/$name" "$dest"
+    curl -fsSL "$REGISTRY/$name/-/$(basename "$name")-$version.tgz" | tar xz -C "$TMP/$name"
+
+    if [ $# -eq 0 ]; then
+        cp -R "$TMP/$name/package/." "$dest/"
+    else
+        for file in "$@"; do
+            cp "$TMP/$name/package/$file" "$dest/"
+        done
+    fi
+}
+
+fetch_package three 0.134.0 three build/three.min.js
+fetch_package chess.js 0.12.1 chess.js chess.js
+fetch_package @mediapipe/hands 0.4.1675469240 mediapipe/hands
+fetch_package @mediapipe/tasks-vision 0.10.14 mediapipe/tasks-vision
+
+echo "Fetching hand_landmarker.task"
+mkdir -p "$VENDOR/mediapipe/models"
+curl -fsSL -o "$VENDOR/mediapipe/models/hand_landmarker.task" \
+    https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task
+
+echo "Done. Open index.html?assets=$VENDOR/"
@@ -0,0 +1,170 @@
+/**
+ * HandMath against canned landmark fixtures (test/fixtures/landmarks.json):
+ * right hands with the palm to the camera and fingers up - open, fisted
+ * and rolled 30 degrees - a mirrored left hand and a collapsed hand.
+ *
+ * Run with `npm test` (node --test); no browser, camera or network needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HandMath = require('../js/handMath.js');
+const fixtures = require('./fixtures/landmarks.json');
+
+const EPSILON = 1e-3;
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Rotate a vector by a unit quaternion
+ */
+function rotate(q, v) {
+    const p = HandMath.multiplyQuaternions(
+        HandMath.multiplyQuaternions(q, { x: v[0], y: v[1], z: v[2], w: 0 }),
+        HandMath.invertQuaternion(q)
+    );
+    return [p.x, p.y, p.z];
+}
+
+function assertVectorClose(actual, expected, message) {
+    actual.forEach((value, i) => assertClose(value, expected[i], `${message} [${i}]`));
+}
+
+test('openness: an open palm is near 1 and a fist is 0', () => {
+    assert.ok(HandMath.calculateHandOpenness(fixtures.openPalm) > 0.9);
+    assert.equal(HandMath.calculateHandOpenness(fixtures.fist), 0);
+});
+
+test('openness: raw ratios sit either side of the default range', () => {
+    const { minRatio, maxRatio } = HandMath.DEFAULT_OPENNESS_RANGE;
+    assert.ok(HandMath.calculateOpennessRatio(fixtures.fist) < minRatio);
+    assert.ok(HandMath.calculateOpennessRatio(fixtures.openPalm) > minRatio);
+    assert.ok(HandMath.calculateOpennessRatio(fixtures.openPalm) <= maxRatio + 0.05);
+});
+
+test('openness: a custom range rescales the same hand', () => {
+    const ratio = HandMath.calculateOpennessRatio(fixtures.openPalm);
+    assertClose(HandMath.calculateHandOpenness(fixtures.openPalm, { minRatio: 0, maxRatio: ratio * 2 }), 0.5, 'half way');
+    assert.equal(HandMath.calculateHandOpenness(fixtures.fist, { minRatio: 0, maxRatio: 0.1 }), 1);
+});
+
+test('openness: unchanged by rolling or mirroring the hand', () => {
+    const open = HandMath.calculateHandOpenness(fixtures.openPalm);
+    assertClose(HandMath.calculateHandOpenness(fixtures.tiltedPalm), open, 'tilted');
+    assertClose(HandMath.calculateHandOpenness(fixtures.leftOpenPalm), open, 'left hand');
+});
+
+test('rotation: an upright right palm is the identity', () => {
+    const q = HandMath.calculateHandQuaternion(fixtures.openPalm);
+    assertClose(q.x, 0, 'x');
+    assertClose(q.y, 0, 'y');
+    assertClose(q.z, 0, 'z');
+    assertClose(Math.abs(q.w), 1, 'w');
+});
+
+test('rotation: curling the fingers does not turn the hand', () => {
+    const q = HandMath.calculateHandQuaternion(fixtures.fist);
+    assertClose(Math.abs(q.w), 1, 'w');
+});
+
+test('rotation: a hand rolled 30 degrees counterclockwise rolls by +30 degrees', () => {
+    const q = HandMath.calculateHandQuaternion(fixtures.tiltedPalm);
+    const euler = HandMath.quaternionToEuler(q);
+    assertClose(euler.roll, Math.PI / 6, 'roll');
+    assertClose(euler.pitch, 0, 'pitch');
+    assertClose(euler.yaw, 0, 'yaw');
+
+    // The quaternion's axes are the hand's axes
+    const basis = HandMath.calculateHandBasis(fixtures.tiltedPalm);
+    assertVectorClose(rotate(q, [1, 0, 0]), basis.right, 'right');
+    assertVectorClose(rotate(q, [0, 1, 0]), basis.up, 'up');
+    assertVectorClose(rotate(q, [0, 0, 1]), basis.forward, 'forward');
+    assertVectorClose(basis.up, [-Math.sin(Math.PI / 6), Math.cos(Math.PI / 6), 0], 'up direction');
+});
+
+test('rotation: a mirrored left palm is the right palm turned half a turn about up', () => {
+    const q = HandMath.calculateHandQuaternion(fixtures.leftOpenPalm);
+    assertClose(Math.abs(q.y), 1, 'y');
+
+    const basis = HandMath.calculateHandBasis(fixtures.leftOpenPalm);
+    assertVectorClose(basis.up, [0, 1, 0], 'up');
+    assertVectorClose(basis.right, [-1, 0, 0], 'right');
+});
+
+test('degenerate: collapsed, empty and malformed input give safe values', () => {
+    const inputs = [fixtures.degenerate, [], null, undefined, [{ x: 0, y: 0, z: 0 }],
+        fixtures.openPalm.slice(0, 5), fixtures.openPalm.map(() => ({ x: NaN, y: NaN, z: 0 }))];
+    const allZero = (values) => Object.values(values).every((value) => value === 0);
+
+    for (const landmarks of inputs) {
+        assert.equal(HandMath.calculateHandSize(landmarks), 0);
+        assert.ok(allZero(HandMath.calculateFingerCurls(landmarks)));
+        assert.ok(allZero(HandMath.calculatePinchDistances(landmarks)));
+        assert.ok(allZero(HandMath.calculateFingerSpread(landmarks)));
+
+        const metrics = HandMath.calculateFingerMetrics(landmarks);
+        assert.equal(metrics.handSize, 0);
+        assert.ok(allZero(metrics.curls) && allZero(metrics.pinchDistances) && allZero(metrics.spread));
+        assert.equal(HandMath.calculateOpennessRatio(landmarks), 0);
+        assert.equal(HandMath.calculateHandOpenness(landmarks), 0);
+        assert.equal(HandMath.calculateHandBasis(landmarks), null);
+        assert.equal(HandMath.calculateHandQuaternion(landmarks), null);
+
+        assert.ok(allZero(HandMath.classifyGestures(landmarks)));
+        assert.ok(allZero(HandMath.classifyGestures(landmarks, metrics)));
+    }
+
+    // The collapsed hand has 21 points, so only a missing or short array has no palm center
+    for (const landmarks of inputs.slice(1, 6)) {
+        assert.equal(HandMath.calculatePalmCenter(landmarks), null);
+    }
+});
+
+test('gestures: the fixtures classify as what they show', () => {
+    const best = (landmarks) => {
+        const scores = HandMath.classifyGestures(landmarks);
+        return Object.keys(scores).reduce((a, b) => (scores[a] >= scores[b] ? a : b));
+    };
+    assert.equal(best(fixtures.openPalm), HandMath.GESTURES.OPEN_PALM);
+    assert.equal(best(fixtures.leftOpenPalm), HandMath.GESTURES.OPEN_PALM);
+    assert.equal(best(fixtures.fist), HandMath.GESTURES.FIST);
+});
+
+test('response curve: dead zone, power curve, and no growth past the range', () => {
+    const curve = { deadZone: 0.08, exponent: 1.4, sensitivity: 1, range: Math.PI / 2 };
+    assert.equal(HandMath.applyResponseCurve(0.05, curve), 0);
+    assert.ok(HandMath.applyResponseCurve(0.5, curve) < 0.5);
+    assertClose(HandMath.applyResponseCurve(Math.PI / 2, curve), Math.PI / 2, 'at range');
+
+    // Angles past the range hold at the maximum instead of wrapping past pi
+    for (const angle of [2.5, 3.1]) {
+        assertClose(HandMath.applyResponseCurve(angle, curve), Math.PI / 2, `${angle} rad`);
+        assertClose(HandMath.applyResponseCurve(-angle, curve), -Math.PI / 2, `${-angle} rad`);
+    }
+    assertClose(HandMath.applyResponseCurve(3, { ...curve, sensitivity: 0.5 }), Math.PI / 4, 'sensitivity');
+});
+
+test('neutral: the mirrored hand gets the mirror-image neutral', () => {
+    const mirror = (landmarks) => landmarks.map((p) => ({ x: 1 - p.x, y: p.y, z: p.z }));
+    const right = HandMath.calculateHandQuaternion(fixtures.tiltedPalm);
+    const left = HandMath.calculateHandQuaternion(mirror(fixtures.tiltedPalm));
+
+    const neutrals = HandMath.createNeutralRotations(right, 'Right');
+    assert.equal(neutrals.Right, right);
+    const dot = neutrals.Left.x * left.x + neutrals.Left.y * left.y + neutrals.Left.z * left.z + neutrals.Left.w * left.w;
+    assertClose(Math.abs(dot), 1, 'left neutral');
+
+    // Each hand resting in its own neutral pose reads as level
+    for (const [q, neutral] of [[right, neutrals.Right], [left, neutrals.Left]]) {
+        const euler = HandMath.quaternionToEuler(HandMath.shapeRotation(q, neutral));
+        assertClose(euler.roll, 0, 'roll');
+        assertClose(euler.pitch, 0, 'pitch');
+        assertClose(euler.yaw, 0, 'yaw');
+    }
+
+    const back = HandMath.mirrorHandQuaternion(HandMath.mirrorHandQuaternion(right));
+    assertVectorClose([back.x, back.y, back.z, back.w], [right.x, right.y, right.z, right.w], 'round trip');
+});
@@ -0,0 +1,135 @@
+/**
+ * HandMotion against synthetic palm trajectories: samples are generated
+ * from a function of progress (0-1), in the viewer's orientation with a
+ * hand size of 0.1 image units unless the motion changes it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HandMotion = require('../js/handMotion.js');
+const fixtures = require('./fixtures/landmarks.json');
+
+const { MOTIONS } = HandMotion;
+const SIZE = 0.1;
+
+/**
+ * `count` samples spread over `duration` ms, starting at `start`
+ * @param {Function} at - progress (0-1) => { x, y, size }
+ */
+function trajectory(count, duration, at, start = 0) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        const progress = i / (count - 1);
+        samples.push(Object.assign({ time: start + progress * duration, size: SIZE }, at(progress)));
+    }
+    return samples;
+}
+
+function line(from, to) {
+    return (t) => ({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+}
+
+function circle(turns) {
+    return (t) => {
+        const angle = 2 * Math.PI * turns * t;
+        return { x: 0.5 + 0.08 * Math.cos(angle), y: 0.5 + 0.08 * Math.sin(angle) };
+    };
+}
+
+function wave(t) {
+    return { x: 0.5 + 0.06 * Math.sin(2 * Math.PI * 2.5 * t), y: 0.5 };
+}
+
+test('samples: x is mirrored into the viewer\'s orientation', () => {
+    const sample = HandMotion.createSample(fixtures.openPalm, 42);
+    assert.equal(sample.time, 42);
+    assert.ok(sample.size > 0);
+    assert.ok(sample.x > 0 && sample.x < 1);
+
+    const mirrored = fixtures.openPalm.map((p) => ({ x: 1 - p.x, y: p.y, z: p.z }));
+    assert.ok(Math.abs(HandMotion.createSample(mirrored, 42).x - (1 - sample.x)) < 1e-9);
+});
+
+test('swipe: a fast straight move names its direction', () => {
+    const cases = [
+        [{ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }, MOTIONS.SWIPE_RIGHT, 'right'],
+        [{ x: 0.6, y: 0.5 }, { x: 0.3, y: 0.5 }, MOTIONS.SWIPE_LEFT, 'left'],
+        [{ x: 0.5, y: 0.7 }, { x: 0.5, y: 0.4 }, MOTIONS.SWIPE_UP, 'up'],
+        [{ x: 0.5, y: 0.4 }, { x: 0.5, y: 0.7 }, MOTIONS.SWIPE_DOWN, 'down']
+    ];
+    for (const [from, to, motion, direction] of cases) {
+        const result = HandMotion.detectSwipe(trajectory(10, 300, line(from, to)));
+        assert.equal(result && result.motion, motion);
+        assert.equal(result.direction, direction);
+        assert.ok(Math.abs(result.distance - 3) < 1e-9, `distance ${result.distance}`);
+        assert.ok(result.speed >= HandMotion.SETTINGS.swipe.minSpeed);
+    }
+});
+
+test('swipe: slow, short or diagonal moves are not swipes', () => {
+    assert.equal(HandMotion.detectSwipe(trajectory(40, 1500, line({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }))), null);
+    assert.equal(HandMotion.detectSwipe(trajectory(10, 300, line({ x: 0.5, y: 0.5 }, { x: 0.55, y: 0.5 }))), null);
+    assert.equal(HandMotion.detectSwipe(trajectory(10, 300, line({ x: 0.3, y: 0.3 }, { x: 0.6, y: 0.6 }))), null);
+    assert.equal(HandMotion.detectSwipe(trajectory(2, 100, line({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }))), null);
+});
+
+test('circle: most of a turn either way, and not half of one', () => {
+    const clockwise = HandMotion.detectCircle(trajectory(30, 1200, circle(0.95)));
+    assert.equal(clockwise && clockwise.motion, MOTIONS.CIRCLE);
+    assert.equal(clockwise.direction, 'clockwise');
+
+    const counterclockwise = HandMotion.detectCircle(trajectory(30, 1200, circle(-0.95)));
+    assert.equal(counterclockwise && counterclockwise.direction, 'counterclockwise');
+
+    assert.equal(HandMotion.detectCircle(trajectory(30, 1200, circle(0.5))), null);
+});
+
+test('wave: side-to-side swings count, a single sweep does not', () => {
+    const result = HandMotion.detectWave(trajectory(40, 1400, wave));
+    assert.equal(result && result.motion, MOTIONS.WAVE);
+    assert.ok(result.swings >= HandMotion.SETTINGS.wave.minSwings);
+
+    assert.equal(HandMotion.detectWave(trajectory(40, 1400, line({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }))), null);
+    const bouncing = (t) => Object.assign(wave(t), { y: 0.5 + 0.2 * t });
+    assert.equal(HandMotion.detectWave(trajectory(40, 1400, bouncing)), null);
+});
+
+test('push: the hand growing in place is a push, shrinking a pull', () => {
+    const grow = (t) => ({ x: 0.5, y: 0.5, size: SIZE * (1 + 0.4 * t) });
+    const shrink = (t) => ({ x: 0.5, y: 0.5, size: SIZE * 1.4 / (1 + 0.4 * t) });
+
+    const push = HandMotion.detectPush(trajectory(10, 400, grow));
+    assert.equal(push && push.motion, MOTIONS.PUSH);
+    assert.equal(push.direction, 'forward');
+
+    const pull = HandMotion.detectPush(trajectory(10, 400, shrink));
+    assert.equal(pull && pull.motion, MOTIONS.PULL);
+    assert.ok(Math.abs(pull.distance - push.distance) < 1e-9);
+
+    // Growing while moving across the frame is not a push
+    const drifting = (t) => Object.assign(grow(t), { x: 0.3 + 0.3 * t });
+    assert.equal(HandMotion.detectPush(trajectory(10, 400, drifting)), null);
+});
+
+test('tracker: each motion fires once, then waits out the cooldown', () => {
+    const tracker = HandMotion.createMotionTracker();
+    const swipe = trajectory(10, 300, line({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }));
+    const fired = swipe.map((sample) => tracker.add(sample)).filter(Boolean);
+    assert.deepEqual(fired.map((motion) => motion.motion), [MOTIONS.SWIPE_RIGHT]);
+
+    // The same swipe again inside the cooldown is ignored, after it counts
+    const end = swipe[swipe.length - 1].time;
+    const again = trajectory(10, 300, line({ x: 0.6, y: 0.5 }, { x: 0.3, y: 0.5 }), end + 33);
+    assert.ok(again.every((sample) => tracker.add(sample) === null));
+
+    const later = trajectory(10, 300, line({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }), end + 1000);
+    assert.ok(later.some((sample) => tracker.add(sample)));
+});
+
+test('tracker: a wave is reported as a wave, not as swipes', () => {
+    const tracker = HandMotion.createMotionTracker();
+    const fired = trajectory(40, 1400, wave).map((sample) => tracker.add(sample)).filter(Boolean);
+    assert.ok(fired.length > 0);
+    assert.ok(fired.every((motion) => motion.motion === MOTIONS.WAVE), fired.map((motion) => motion.motion).join());
+});
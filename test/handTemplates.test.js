@@ -0,0 +1,135 @@
+/**
+ * HandTemplates: pose normalization and matching on the landmark fixtures,
+ * DTW and motion matching on synthetic palm trajectories, and the export
+ * format's round trip.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HandTemplates = require('../js/handTemplates.js');
+const fixtures = require('./fixtures/landmarks.json');
+
+const { TYPES } = HandTemplates;
+
+/**
+ * `count` palm samples over `duration` ms; `at` maps progress (0-1) to { x, y }
+ */
+function trajectory(count, duration, at, start = 0) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        const progress = i / (count - 1);
+        samples.push(Object.assign({ time: start + progress * duration, size: 0.1 }, at(progress)));
+    }
+    return samples;
+}
+
+// An L: right, then down, with a still moment at each end
+function ell(t) {
+    const move = Math.min(1, Math.max(0, (t - 0.15) / 0.7));
+    return move < 0.5
+        ? { x: 0.3 + 0.4 * move, y: 0.3 }
+        : { x: 0.5, y: 0.3 + 0.4 * (move - 0.5) };
+}
+
+function line(t) {
+    return { x: 0.3 + 0.3 * t, y: 0.5 };
+}
+
+function lineBack(t) {
+    return { x: 0.6 - 0.3 * t, y: 0.5 };
+}
+
+test('poses: where and how the hand is turned doesn\'t matter', () => {
+    const open = HandTemplates.normalizePose(fixtures.openPalm, 'Right');
+    assert.equal(open.length, 21);
+    assert.deepEqual(open[0], [0, 0, 0]);
+
+    const moved = fixtures.openPalm.map((p) => ({ x: 0.2 + p.x * 0.5, y: 0.1 + p.y * 0.5, z: p.z * 0.5 }));
+    assert.ok(HandTemplates.poseDistance(open, HandTemplates.normalizePose(moved, 'Right')) < 1e-6);
+    assert.ok(HandTemplates.poseDistance(open, HandTemplates.normalizePose(fixtures.tiltedPalm, 'Right')) < 1e-3);
+    assert.ok(HandTemplates.poseDistance(open, HandTemplates.normalizePose(fixtures.leftOpenPalm, 'Left')) < 1e-3);
+
+    const fist = HandTemplates.normalizePose(fixtures.fist, 'Right');
+    assert.ok(HandTemplates.poseDistance(open, fist) > 0.5);
+    assert.equal(HandTemplates.normalizePose(fixtures.degenerate, 'Right'), null);
+});
+
+test('poses: the matcher scores a trained pose high and others low', () => {
+    const open = HandTemplates.normalizePose(fixtures.openPalm, 'Right');
+    const template = HandTemplates.createTemplate('high five', TYPES.POSE, [open]);
+    const matcher = HandTemplates.createMatcher([template]);
+
+    assert.ok(matcher.has('high five'));
+    assert.ok(matcher.scorePoses(fixtures.tiltedPalm, 'Right')['high five'] > 0.99);
+    assert.ok(matcher.scorePoses(fixtures.leftOpenPalm, 'Left')['high five'] > 0.99);
+    assert.ok(matcher.scorePoses(fixtures.fist, 'Right')['high five'] < HandTemplates.SETTINGS.matchScore);
+    assert.equal(matcher.scorePoses(fixtures.degenerate, 'Right')['high five'], 0);
+});
+
+test('templates: names and examples are checked', () => {
+    const open = HandTemplates.normalizePose(fixtures.openPalm, 'Right');
+    assert.throws(() => HandTemplates.createTemplate('openPalm', TYPES.POSE, [open]), /built-in/);
+    assert.throws(() => HandTemplates.createTemplate('circle', TYPES.POSE, [open]), /built-in/);
+    assert.throws(() => HandTemplates.createTemplate(' ', TYPES.POSE, [open]), /required/);
+    assert.throws(() => HandTemplates.createTemplate('wiggle', TYPES.POSE, []), /example/);
+    assert.throws(() => HandTemplates.createTemplate('wiggle', 'dance', [open]), /type/);
+
+    // Two close examples give a tighter threshold than the default
+    const tilted = HandTemplates.normalizePose(fixtures.tiltedPalm, 'Right');
+    const template = HandTemplates.createTemplate(' high five ', TYPES.POSE, [open, tilted]);
+    assert.equal(template.name, 'high five');
+    assert.equal(template.threshold, HandTemplates.SETTINGS.pose.minThreshold);
+});
+
+test('export: templates survive a round trip, bad files are rejected', () => {
+    const pose = HandTemplates.createTemplate('high five', TYPES.POSE, [HandTemplates.normalizePose(fixtures.openPalm, 'Right')]);
+    const motion = HandTemplates.createTemplate('ell', TYPES.MOTION, [HandTemplates.createMotionPath(trajectory(40, 800, ell))]);
+
+    const parsed = HandTemplates.parse(HandTemplates.serialize([pose, motion]));
+    assert.deepEqual(parsed.map((template) => [template.name, template.type]), [['high five', TYPES.POSE], ['ell', TYPES.MOTION]]);
+    assert.ok(HandTemplates.poseDistance(parsed[0].examples[0], pose.examples[0]) < 1e-4);
+    assert.ok(HandTemplates.dtwDistance(parsed[1].examples[0].points, motion.examples[0].points) < 1e-4);
+
+    assert.throws(() => HandTemplates.parse('{}'), /missing templates/);
+    assert.throws(() => HandTemplates.parse(JSON.stringify({ version: 99, templates: [] })), /version/);
+    const broken = JSON.parse(HandTemplates.serialize([pose]));
+    broken.templates[0].examples[0].pop();
+    assert.throws(() => HandTemplates.parse(JSON.stringify(broken)), /Invalid gesture template/);
+});
+
+test('dtw: the same path at another speed is close, another path is not', () => {
+    const slow = HandTemplates.createMotionPath(trajectory(60, 1200, ell)).points;
+    const fast = HandTemplates.createMotionPath(trajectory(20, 400, ell)).points;
+    const straight = HandTemplates.createMotionPath(trajectory(20, 400, lineBack)).points;
+
+    assert.equal(HandTemplates.dtwDistance(slow, slow), 0);
+    assert.ok(HandTemplates.dtwDistance(slow, fast) < 0.1);
+    assert.ok(HandTemplates.dtwDistance(slow, straight) > HandTemplates.SETTINGS.motion.maxThreshold);
+    assert.ok(Math.abs(HandTemplates.dtwDistance(slow, straight) - HandTemplates.dtwDistance(straight, slow)) < 1e-9);
+});
+
+test('motion paths: still ends are trimmed and a still hand has none', () => {
+    const path = HandTemplates.createMotionPath(trajectory(40, 1000, ell));
+    assert.equal(path.points.length, HandTemplates.SETTINGS.motion.points);
+    assert.deepEqual(path.points[0], [0, 0, 0]);
+    assert.ok(path.duration < 800, `duration ${path.duration}`);
+    assert.ok(path.travel > 3.5 && path.travel <= 4, `travel ${path.travel}`);
+
+    assert.equal(HandTemplates.createMotionPath(trajectory(40, 1000, () => ({ x: 0.5, y: 0.5 }))), null);
+    assert.equal(HandTemplates.createMotionPath(trajectory(2, 100, line)), null);
+});
+
+test('motions: the tracker reports a trained motion once and ignores others', () => {
+    const template = HandTemplates.createTemplate('ell', TYPES.MOTION, [HandTemplates.createMotionPath(trajectory(40, 800, ell))]);
+    const matcher = HandTemplates.createMatcher([template]);
+
+    const tracker = matcher.createMotionTracker();
+    const fired = trajectory(50, 1000, ell).map((sample) => tracker.add(sample)).filter(Boolean);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].motion, 'ell');
+    assert.ok(fired[0].confidence >= HandTemplates.SETTINGS.matchScore);
+
+    const other = matcher.createMotionTracker();
+    assert.ok(trajectory(50, 1000, line).every((sample) => other.add(sample) === null));
+});
@@ -0,0 +1,126 @@
+/**
+ * InteractionBox with the open palm fixture moved and scaled around the
+ * frame, so the palm center and hand size are known exactly.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HandMath = require('../js/handMath.js');
+const InteractionBox = require('../js/interactionBox.js');
+const fixtures = require('./fixtures/landmarks.json');
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * The open palm with its center at (x, y) as the viewer sees it and a hand
+ * size of `size`
+ */
+function placeHand(x, y, size) {
+    const center = HandMath.calculatePalmCenter(fixtures.openPalm);
+    const scale = size / HandMath.calculateHandSize(fixtures.openPalm);
+    return fixtures.openPalm.map((p) => ({
+        x: 1 - x + (p.x - center.x) * scale,
+        y: y + (p.y - center.y) * scale,
+        z: p.z * scale
+    }));
+}
+
+test('measure: the palm center in the viewer\'s orientation and the hand size', () => {
+    const hand = InteractionBox.measure(placeHand(0.3, 0.6, 0.12));
+    assertClose(hand.x, 0.3, 'x');
+    assertClose(hand.y, 0.6, 'y');
+    assertClose(hand.size, 0.12, 'size');
+
+    assert.equal(InteractionBox.measure(fixtures.degenerate), null);
+    assert.equal(InteractionBox.measure(null), null);
+    assert.equal(InteractionBox.measure([]), null);
+});
+
+test('normalize: the box spans 0 to 1, evenly in distance from the camera', () => {
+    const box = InteractionBox.DEFAULT_BOX;
+    const corner = InteractionBox.normalize(placeHand(box.minX, box.minY, box.minSize));
+    assertClose(corner.x, 0, 'left');
+    assertClose(corner.y, 0, 'top');
+    assertClose(corner.z, 0, 'far');
+
+    const opposite = InteractionBox.normalize(placeHand(box.maxX, box.maxY, box.maxSize));
+    assertClose(opposite.x, 1, 'right');
+    assertClose(opposite.y, 1, 'bottom');
+    assertClose(opposite.z, 1, 'near');
+
+    // Half way in distance is the harmonic mean of the sizes
+    const middleSize = 2 / (1 / box.minSize + 1 / box.maxSize);
+    const middle = InteractionBox.normalize(placeHand(0.5, 0.5, middleSize));
+    assertClose(middle.x, 0.5, 'x');
+    assertClose(middle.y, 0.5, 'y');
+    assertClose(middle.z, 0.5, 'z');
+});
+
+test('normalize: outside the box clamps, a collapsed hand gives null', () => {
+    const outside = InteractionBox.normalize(placeHand(0.02, 0.98, 0.5));
+    assert.deepEqual(outside, { x: 0, y: 1, z: 1 });
+    const tiny = InteractionBox.normalize(placeHand(0.5, 0.5, 0.01));
+    assert.equal(tiny.z, 0);
+
+    const box = { minX: 0.4, maxX: 0.6, minY: 0.4, maxY: 0.6, minSize: 0.1, maxSize: 0.2 };
+    assertClose(InteractionBox.normalize(placeHand(0.45, 0.55, 0.1), box).x, 0.25, 'custom box');
+
+    assert.equal(InteractionBox.normalize(fixtures.degenerate), null);
+    assert.equal(InteractionBox.normalize(null), null);
+});
+
+test('map: scales each axis, flips reversed ranges and leaves others 0-1', () => {
+    const mapped = InteractionBox.map({ x: 0.25, y: 0.5, z: 1 }, { x: [-4, 4], y: [3, 1] });
+    assertClose(mapped.x, -2, 'x');
+    assertClose(mapped.y, 2, 'y');
+    assertClose(mapped.z, 1, 'z');
+    assert.deepEqual(InteractionBox.map({ x: 0.1, y: 0.2, z: 0.3 }), { x: 0.1, y: 0.2, z: 0.3 });
+});
+
+test('fromSamples: fits the area swept, ignoring stray frames', () => {
+    const sets = [];
+    for (let i = 0; i <= 10; i++) {
+        for (let j = 0; j <= 10; j++) {
+            sets.push(placeHand(0.2 + 0.06 * i, 0.3 + 0.04 * j, 0.1 + 0.01 * ((i + j) % 11)));
+        }
+    }
+    // A few wild frames and some with no usable hand
+    sets.push(placeHand(0.99, 0.01, 0.5), fixtures.degenerate, []);
+
+    const box = InteractionBox.fromSamples(sets);
+    assert.ok(InteractionBox.isValid(box));
+    assert.ok(Math.abs(box.minX - 0.2) < 0.02 && Math.abs(box.maxX - 0.8) < 0.02, `x ${box.minX}-${box.maxX}`);
+    assert.ok(Math.abs(box.minY - 0.3) < 0.02 && Math.abs(box.maxY - 0.7) < 0.02, `y ${box.minY}-${box.maxY}`);
+    assert.ok(box.minSize < 0.11 && box.maxSize > 0.19, `size ${box.minSize}-${box.maxSize}`);
+});
+
+test('fromSamples: too little movement is rejected, too little depth widened', () => {
+    assert.equal(InteractionBox.fromSamples([]), null);
+    assert.equal(InteractionBox.fromSamples([fixtures.degenerate]), null);
+
+    const still = [];
+    for (let i = 0; i <= 10; i++) still.push(placeHand(0.5 + 0.01 * i, 0.3 + 0.05 * i, 0.1));
+    assert.equal(InteractionBox.fromSamples(still), null);
+
+    const flat = [];
+    for (let i = 0; i <= 10; i++) {
+        for (let j = 0; j <= 10; j++) flat.push(placeHand(0.2 + 0.06 * i, 0.2 + 0.06 * j, 0.1));
+    }
+    const box = InteractionBox.fromSamples(flat);
+    assertClose(box.maxSize / box.minSize, InteractionBox.SETTINGS.minDepthRatio, 'depth ratio');
+    assertClose(Math.sqrt(box.minSize * box.maxSize), 0.1, 'depth middle');
+});
+
+test('isValid: every bound a number, each min below its max', () => {
+    assert.ok(InteractionBox.isValid(InteractionBox.DEFAULT_BOX));
+    assert.ok(!InteractionBox.isValid(null));
+    assert.ok(!InteractionBox.isValid(Object.assign({}, InteractionBox.DEFAULT_BOX, { minX: 0.9 })));
+    assert.ok(!InteractionBox.isValid(Object.assign({}, InteractionBox.DEFAULT_BOX, { minSize: 0 })));
+    assert.ok(!InteractionBox.isValid(Object.assign({}, InteractionBox.DEFAULT_BOX, { maxY: NaN })));
+    assert.ok(!InteractionBox.isValid({ minX: 0, maxX: 1 }));
+});
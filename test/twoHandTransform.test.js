@@ -0,0 +1,108 @@
+/**
+ * TwoHandTransform's tracker fed synthetic hand pairs, built in the
+ * viewer's orientation and mirrored into image coordinates like MediaPipe's.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TwoHandTransform = require('../js/twoHandTransform.js');
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Hands 1 and 2 `distance` apart around `center`, the line between them at
+ * `angle` (viewer's orientation, y down)
+ */
+function pair(center, distance, angle, ids = [1, 2]) {
+    const dx = Math.cos(angle) * distance / 2;
+    const dy = Math.sin(angle) * distance / 2;
+    return {
+        ids: ids,
+        centers: [
+            { x: 1 - (center.x - dx), y: center.y - dy },
+            { x: 1 - (center.x + dx), y: center.y + dy }
+        ]
+    };
+}
+
+const CENTER = { x: 0.5, y: 0.5 };
+
+test('measure: positions are mirrored into the viewer\'s orientation', () => {
+    const measured = TwoHandTransform.measure({ x: 0.7, y: 0.4 }, { x: 0.3, y: 0.6 });
+    assertClose(measured.center.x, 0.5, 'center x');
+    assertClose(measured.center.y, 0.5, 'center y');
+    assertClose(measured.distance, Math.hypot(0.4, 0.2), 'distance');
+    assertClose(measured.angle, Math.atan2(0.2, 0.4), 'angle');
+});
+
+test('tracker: starts neutral, then follows spread and pan', () => {
+    const tracker = TwoHandTransform.createTracker();
+    const start = tracker.update(pair(CENTER, 0.2, 0), 1000);
+    assert.equal(start.phase, 'start');
+    assert.deepEqual(start.handIds, [1, 2]);
+    assertClose(start.scale, 1, 'start scale');
+    assertClose(start.rotation, 0, 'start rotation');
+
+    const spread = tracker.update(pair({ x: 0.6, y: 0.45 }, 0.4, 0), 1500);
+    assert.equal(spread.phase, 'update');
+    assertClose(spread.scale, 2, 'scale');
+    assertClose(spread.pan.x, 0.1, 'pan x');
+    assertClose(spread.pan.y, -0.05, 'pan y');
+    assert.equal(spread.duration, 500);
+
+    const current = tracker.current(1600);
+    assert.equal(current.phase, 'update');
+    assertClose(current.scale, 2, 'current scale');
+});
+
+test('tracker: twisting keeps counting past half a turn', () => {
+    const tracker = TwoHandTransform.createTracker();
+    const steps = 30;
+    let event = null;
+    for (let i = 0; i <= steps; i++) {
+        event = tracker.update(pair(CENTER, 0.2, 1.5 * Math.PI * i / steps), i * 33);
+    }
+    assertClose(event.rotation, 1.5 * Math.PI, 'clockwise');
+
+    for (let i = steps; i >= 0; i--) {
+        event = tracker.update(pair(CENTER, 0.2, 1.5 * Math.PI * i / steps), 2000 + i * 33);
+    }
+    assertClose(event.rotation, 0, 'back');
+    assertClose(event.scale, 1, 'scale');
+});
+
+test('tracker: hands too close don\'t start, and passing close holds the angle', () => {
+    const tracker = TwoHandTransform.createTracker();
+    const close = TwoHandTransform.SETTINGS.minDistance / 2;
+    assert.equal(tracker.update(pair(CENTER, close, 0), 0), null);
+
+    tracker.update(pair(CENTER, 0.2, 0), 33);
+    const passing = tracker.update(pair(CENTER, close, Math.PI / 2), 66);
+    assertClose(passing.rotation, 0, 'rotation');
+    assertClose(passing.distance, TwoHandTransform.SETTINGS.minDistance, 'distance');
+    assert.ok(passing.scale > 0);
+});
+
+test('tracker: no pair or another pair ends the transform', () => {
+    const tracker = TwoHandTransform.createTracker();
+    tracker.update(pair(CENTER, 0.2, 0), 0);
+    const end = tracker.update(null, 500);
+    assert.equal(end.phase, 'end');
+    assert.equal(end.duration, 500);
+    assert.equal(tracker.update(null, 533), null);
+    assert.equal(tracker.current(533), null);
+
+    tracker.update(pair(CENTER, 0.2, 0), 600);
+    const switched = tracker.update(pair(CENTER, 0.2, 0, [1, 3]), 633);
+    assert.equal(switched.phase, 'end');
+    assert.deepEqual(switched.handIds, [1, 2]);
+    assert.equal(tracker.update(pair(CENTER, 0.2, 0, [1, 3]), 666).phase, 'start');
+
+    tracker.reset();
+    assert.equal(tracker.current(700), null);
+});